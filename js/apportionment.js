@@ -0,0 +1,252 @@
+/*
+ * MÓDULO DE REPARTO DE BANCAS - apportionment.js
+ *
+ * Responsabilidades:
+ * - Repartir un total de bancas legislativas entre las divisiones según su población
+ *   (Hare con restos mayores, D'Hondt, Sainte-Laguë o Huntington-Hill)
+ * - Respetar un mínimo opcional de bancas por división
+ * - Agregar a la tabla comparativa las bancas, los habitantes por banca y la brecha
+ *   de representación respecto del promedio provincial
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Clave de localStorage para recordar la configuración del reparto
+const seatApportionmentStorageKey = 'desarmaPBA.repartoBancas';
+
+// Tope de bancas: los métodos de divisores asignan de a una banca por vuelta
+const maxSeats = 1000;
+
+// Métodos disponibles; los de divisores indican el divisor para quien ya tiene n bancas
+const apportionmentMethods = {
+    hare: { nombre: 'Hare (restos mayores)' },
+    dhondt: { nombre: "D'Hondt", divisor: n => n + 1 },
+    sainte_lague: { nombre: 'Sainte-Laguë', divisor: n => 2 * n + 1 },
+    huntington_hill: { nombre: 'Huntington-Hill', divisor: n => Math.sqrt(n * (n + 1)) }
+};
+
+// =============================================
+// MÉTODOS DE REPARTO
+// =============================================
+
+/**
+ * REPARTE BANCAS POR CUOCIENTE HARE Y RESTOS MAYORES
+ * @param {Array<number>} poblaciones - Población de cada división
+ * @param {number} bancas - Bancas a repartir
+ * @returns {Array<number>} - Bancas de cada división
+ */
+function repartirHare(poblaciones, bancas) {
+    const total = poblaciones.reduce((a, b) => a + b, 0);
+    if (total === 0 || bancas === 0) return poblaciones.map(() => 0);
+
+    const cuotas = poblaciones.map(poblacion => poblacion * bancas / total);
+    const asignadas = cuotas.map(Math.floor);
+    let restantes = bancas - asignadas.reduce((a, b) => a + b, 0);
+
+    // Los restos empatados se resuelven a favor de la división más poblada
+    const orden = cuotas
+        .map((cuota, index) => ({ index, resto: cuota - Math.floor(cuota) }))
+        .sort((a, b) => b.resto - a.resto || poblaciones[b.index] - poblaciones[a.index]);
+    for (let k = 0; restantes > 0; k++, restantes--) {
+        asignadas[orden[k].index]++;
+    }
+
+    return asignadas;
+}
+
+/**
+ * REPARTE BANCAS POR UN MÉTODO DE DIVISORES (promedios mayores)
+ * Cada banca va a la división con mayor población / divisor(bancas que ya tiene)
+ * @param {Array<number>} poblaciones - Población de cada división
+ * @param {number} bancas - Bancas a repartir
+ * @param {Function} divisor - Divisor en función de las bancas ya asignadas
+ * @param {Array<number>} iniciales - Bancas de partida (mínimos)
+ * @returns {Array<number>} - Bancas de cada división
+ */
+function repartirPorDivisores(poblaciones, bancas, divisor, iniciales) {
+    const asignadas = iniciales.slice();
+    let restantes = bancas - asignadas.reduce((a, b) => a + b, 0);
+
+    while (restantes > 0) {
+        let elegida = -1;
+        let mayor = -1;
+        poblaciones.forEach((poblacion, index) => {
+            if (poblacion <= 0) return;
+            // Huntington-Hill da prioridad infinita a quien no tiene bancas
+            const d = divisor(asignadas[index]);
+            const prioridad = d === 0 ? Infinity : poblacion / d;
+            if (prioridad > mayor || (prioridad === mayor && poblacion > poblaciones[elegida])) {
+                elegida = index;
+                mayor = prioridad;
+            }
+        });
+        if (elegida < 0) break;
+
+        asignadas[elegida]++;
+        restantes--;
+    }
+
+    return asignadas;
+}
+
+/**
+ * REPARTE LAS BANCAS ENTRE LAS DIVISIONES
+ * Las divisiones sin población no reciben bancas ni el mínimo
+ * @param {Array<number>} poblaciones - Población de cada división
+ * @param {number} bancas - Total de bancas a repartir
+ * @param {string} metodo - Clave de apportionmentMethods
+ * @param {number} minimo - Bancas mínimas por división poblada
+ * @returns {Array<number>} - Bancas de cada división
+ * @throws {Error} - Si los mínimos superan el total o no hay población
+ */
+function repartirBancas(poblaciones, bancas, metodo, minimo = 0) {
+    const pobladas = poblaciones.filter(poblacion => poblacion > 0).length;
+    if (pobladas === 0) {
+        throw new Error('No hay divisiones con población');
+    }
+    if (minimo * pobladas > bancas) {
+        throw new Error(`El mínimo de ${minimo} bancas para ${pobladas} divisiones supera las ${bancas} bancas`);
+    }
+    if (metodo === 'huntington_hill' && pobladas > bancas) {
+        throw new Error(`Huntington-Hill necesita al menos una banca por división (${pobladas})`);
+    }
+
+    const iniciales = poblaciones.map(poblacion => poblacion > 0 ? minimo : 0);
+
+    if (metodo !== 'hare') {
+        return repartirPorDivisores(poblaciones, bancas, apportionmentMethods[metodo].divisor, iniciales);
+    }
+
+    // Hare con mínimos: las divisiones que no llegan al mínimo se fijan en él y el
+    // resto de las bancas se vuelve a repartir entre las demás
+    const fijadas = new Set();
+    let asignadas;
+    for (;;) {
+        const libres = poblaciones.map((poblacion, index) => fijadas.has(index) ? 0 : poblacion);
+        const bancasLibres = bancas - fijadas.size * minimo;
+        asignadas = repartirHare(libres, bancasLibres).map((b, index) => fijadas.has(index) ? minimo : b);
+
+        const debajo = asignadas
+            .map((b, index) => index)
+            .filter(index => poblaciones[index] > 0 && !fijadas.has(index) && asignadas[index] < minimo);
+        if (debajo.length === 0) break;
+        debajo.forEach(index => fijadas.add(index));
+    }
+
+    return asignadas;
+}
+
+// =============================================
+// FILAS DE LA TABLA COMPARATIVA
+// =============================================
+
+/**
+ * ARMA LAS FILAS DEL REPARTO DE BANCAS PARA LA TABLA COMPARATIVA
+ * @param {Array<number>} poblaciones - Población de cada división (calcularTotalDivision)
+ * @returns {Array<Object>} - Filas de bancas, habitantes por banca y brecha de representación
+ */
+function construirFilasBancas(poblaciones) {
+    const { bancas, metodo, minimo } = seatApportionment;
+
+    let asignadas;
+    let error = null;
+    try {
+        asignadas = repartirBancas(poblaciones, bancas, metodo, minimo);
+    } catch (e) {
+        error = e.message;
+        asignadas = poblaciones.map(() => null);
+    }
+
+    const poblacionTotal = poblaciones.reduce((a, b) => a + b, 0);
+    const promedio = bancas > 0 ? poblacionTotal / bancas : null;
+    const habitantesPorBanca = asignadas.map((b, index) => b ? poblaciones[index] / b : null);
+    const errores = poblaciones.map(() => error);
+
+    return [{
+        etiqueta: `Bancas (${apportionmentMethods[metodo].nombre}${minimo > 0 ? `, mínimo ${minimo}` : ''})`,
+        valores: asignadas,
+        errores: errores,
+        formato: valor => valor === null ? '-' : String(valor),
+        descripcion: `Reparto de ${bancas} bancas según la población de cada división.`
+    }, {
+        etiqueta: 'Habitantes por banca',
+        valores: habitantesPorBanca,
+        errores: errores,
+        formato: valor => valor === null ? '-' : formatearNumero(Math.round(valor))
+    }, {
+        etiqueta: 'Brecha de representación',
+        valores: habitantesPorBanca.map(valor => valor === null || !promedio ? null : (valor - promedio) / promedio * 100),
+        errores: errores,
+        formato: valor => valor === null ? '-' : `${valor > 0 ? '+' : ''}${valor.toFixed(1).replace('.', ',')}%`,
+        descripcion: `Diferencia entre los habitantes por banca de la división y el promedio provincial` +
+            (promedio ? ` (${formatearNumero(Math.round(promedio))} por banca)` : '') +
+            '. Positiva: la división está subrepresentada; negativa: sobrerrepresentada.'
+    }];
+}
+
+// =============================================
+// CONTROLES DE LA INTERFAZ
+// =============================================
+
+/**
+ * VERIFICA UNA CANTIDAD DE BANCAS (TOTAL O MÍNIMO POR DIVISIÓN)
+ * @param {*} valor - Valor ingresado o leído del almacenamiento
+ * @returns {boolean} - True si es un entero entre 0 y maxSeats
+ */
+function esCantidadBancasValida(valor) {
+    return Number.isInteger(valor) && valor >= 0 && valor <= maxSeats;
+}
+
+/**
+ * CONFIGURA LOS CAMPOS DEL REPARTO DE BANCAS
+ * La configuración elegida se recuerda entre sesiones
+ */
+function setupSeatApportionment() {
+    try {
+        const guardada = JSON.parse(localStorage.getItem(seatApportionmentStorageKey));
+        if (guardada && apportionmentMethods[guardada.metodo] &&
+            esCantidadBancasValida(guardada.bancas) && esCantidadBancasValida(guardada.minimo)) {
+            seatApportionment = guardada;
+        }
+    } catch (error) {
+        console.warn('⚠️ No se pudo leer la configuración del reparto de bancas:', error);
+    }
+
+    const bancas = document.getElementById('seat-total');
+    const metodo = document.getElementById('seat-method');
+    const minimo = document.getElementById('seat-minimum');
+
+    metodo.innerHTML = Object.keys(apportionmentMethods)
+        .map(clave => `<option value="${clave}">${apportionmentMethods[clave].nombre}</option>`)
+        .join('');
+
+    bancas.value = seatApportionment.bancas || '';
+    metodo.value = seatApportionment.metodo;
+    minimo.value = seatApportionment.minimo;
+
+    const actualizarReparto = () => {
+        const valorBancas = bancas.value === '' ? 0 : Number(bancas.value);
+        const valorMinimo = minimo.value === '' ? 0 : Number(minimo.value);
+
+        if (!esCantidadBancasValida(valorBancas) || !esCantidadBancasValida(valorMinimo)) {
+            alert(`La cantidad de bancas y el mínimo por división deben ser números enteros entre 0 y ${maxSeats}`);
+            bancas.value = seatApportionment.bancas || '';
+            minimo.value = seatApportionment.minimo;
+            return;
+        }
+
+        seatApportionment = { bancas: valorBancas, metodo: metodo.value, minimo: valorMinimo };
+        try {
+            localStorage.setItem(seatApportionmentStorageKey, JSON.stringify(seatApportionment));
+        } catch (error) {
+            console.warn('⚠️ No se pudo guardar la configuración del reparto de bancas:', error);
+        }
+        updateComparisonTable();
+    };
+
+    bancas.addEventListener('change', actualizarReparto);
+    metodo.addEventListener('change', actualizarReparto);
+    minimo.addEventListener('change', actualizarReparto);
+}
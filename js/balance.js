@@ -0,0 +1,163 @@
+/*
+ * MÓDULO DE EQUILIBRIO POBLACIONAL - balance.js
+ *
+ * Responsabilidades:
+ * - Calcular indicadores de desigualdad entre divisiones (desvío, razón, Gini)
+ * - Mostrar el resumen debajo de la tabla comparativa
+ * - Colorear los desvíos según umbrales configurables por el usuario
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Clave de localStorage para recordar los umbrales elegidos
+const balanceThresholdsStorageKey = 'desarmaPBA.umbralesEquilibrio';
+
+// =============================================
+// CÁLCULO DE INDICADORES
+// =============================================
+
+/**
+ * CALCULA LOS INDICADORES DE EQUILIBRIO PARA UN CONJUNTO DE POBLACIONES
+ * @param {Array<number>} poblaciones - Población de cada división
+ * @param {number} poblacionTotal - Población a repartir (toda la provincia)
+ * @returns {Object} - {ideal, desvios: [% por división], razonMaxMin, desvioEstandar, gini}
+ */
+function calcularIndicadoresEquilibrio(poblaciones, poblacionTotal) {
+    const n = poblaciones.length;
+    const ideal = n > 0 ? poblacionTotal / n : 0;
+    const media = n > 0 ? poblaciones.reduce((a, b) => a + b, 0) / n : 0;
+
+    const maxima = Math.max(...poblaciones);
+    const minima = Math.min(...poblaciones);
+
+    // Gini: diferencia absoluta media entre pares, relativa al doble de la media
+    let sumaDiferencias = 0;
+    poblaciones.forEach(a => poblaciones.forEach(b => { sumaDiferencias += Math.abs(a - b); }));
+
+    return {
+        ideal: ideal,
+        desvios: poblaciones.map(poblacion => ideal > 0 ? (poblacion - ideal) / ideal * 100 : null),
+        razonMaxMin: minima > 0 ? maxima / minima : null,
+        desvioEstandar: Math.sqrt(poblaciones.reduce((suma, p) => suma + (p - media) ** 2, 0) / n),
+        gini: media > 0 ? sumaDiferencias / (2 * n * n * media) : null
+    };
+}
+
+/**
+ * OBTIENE LOS INDICADORES DE EQUILIBRIO DEL PLAN ACTUAL
+ * @returns {Object|null} - Indicadores con las poblaciones, o null si no hay datos
+ */
+function obtenerIndicadoresEquilibrio() {
+    if (!partidosData || !partidosData.datos) return null;
+
+    const grupos = Array.from({length: currentDivisionCount}, (_, i) => i + 1);
+    const poblaciones = grupos.map(grupoId => calcularTotalDivision(grupoId, 'poblacion_total'));
+    const poblacionTotal = calcularTotalCodigos(allDepartments.map(dept => dept.properties.cde), 'poblacion_total');
+
+    return Object.assign({ poblaciones: poblaciones }, calcularIndicadoresEquilibrio(poblaciones, poblacionTotal));
+}
+
+/**
+ * CLASIFICA UN DESVÍO SEGÚN LOS UMBRALES CONFIGURADOS
+ * @param {number|null} desvio - Desvío porcentual respecto del ideal
+ * @returns {string} - Clase CSS: 'deviation-ok', 'deviation-warning' o 'deviation-high'
+ */
+function clasificarDesvio(desvio) {
+    if (desvio === null) return '';
+    const absoluto = Math.abs(desvio);
+    if (absoluto <= balanceThresholds.aceptable) return 'deviation-ok';
+    if (absoluto <= balanceThresholds.alerta) return 'deviation-warning';
+    return 'deviation-high';
+}
+
+// =============================================
+// RESUMEN EN LA INTERFAZ
+// =============================================
+
+/**
+ * ACTUALIZA EL BLOQUE DE EQUILIBRIO DEBAJO DE LA TABLA COMPARATIVA
+ * Se llama desde notifyStateChange() junto con la tabla
+ */
+function updateBalanceSummary() {
+    const contenedor = document.getElementById('balance-summary-content');
+    const indicadores = obtenerIndicadoresEquilibrio();
+
+    if (!indicadores) {
+        contenedor.innerHTML = '<p class="balance-empty">Cargando datos de población...</p>';
+        return;
+    }
+
+    const formatoPorcentaje = valor => valor === null ? '-' : `${valor > 0 ? '+' : ''}${valor.toFixed(1)}%`;
+
+    // Tabla con la población y el desvío de cada división
+    const encabezados = indicadores.poblaciones.map((_, index) => {
+        const grupo = departmentGroups[index + 1];
+        return `<th style="background-color:${grupo.color};color:${getContrastColor(grupo.color)}">${escapeHTML(grupo.name)}</th>`;
+    }).join('');
+    const poblaciones = indicadores.poblaciones.map(p => `<td>${formatearNumero(p)}</td>`).join('');
+    const desvios = indicadores.desvios.map(d => `<td class="${clasificarDesvio(d)}">${formatoPorcentaje(d)}</td>`).join('');
+
+    contenedor.innerHTML = `
+        <table class="balance-table">
+            <thead><tr><th>División</th>${encabezados}</tr></thead>
+            <tbody>
+                <tr><td>Población</td>${poblaciones}</tr>
+                <tr><td>Desvío respecto del ideal</td>${desvios}</tr>
+            </tbody>
+        </table>
+        <dl class="balance-indicators">
+            <div><dt>Población ideal por división</dt><dd>${formatearNumero(Math.round(indicadores.ideal))}</dd></div>
+            <div><dt>Razón máxima / mínima</dt><dd>${indicadores.razonMaxMin === null ? '-' : indicadores.razonMaxMin.toFixed(2)}</dd></div>
+            <div><dt>Desvío estándar</dt><dd>${formatearNumero(Math.round(indicadores.desvioEstandar))}</dd></div>
+            <div><dt>Coeficiente de Gini</dt><dd>${indicadores.gini === null ? '-' : indicadores.gini.toFixed(3)}</dd></div>
+        </dl>
+    `;
+}
+
+/**
+ * CONFIGURA LOS CAMPOS DE UMBRALES DE DESVÍO
+ * Los valores elegidos se recuerdan entre sesiones
+ */
+function setupBalanceSummary() {
+    try {
+        const guardados = JSON.parse(localStorage.getItem(balanceThresholdsStorageKey));
+        if (guardados && guardados.aceptable >= 0 && guardados.alerta >= guardados.aceptable) {
+            balanceThresholds = guardados;
+        }
+    } catch (error) {
+        console.warn('⚠️ No se pudieron leer los umbrales de equilibrio guardados:', error);
+    }
+
+    const aceptable = document.getElementById('balance-threshold-ok');
+    const alerta = document.getElementById('balance-threshold-warning');
+    aceptable.value = balanceThresholds.aceptable;
+    alerta.value = balanceThresholds.alerta;
+
+    const actualizarUmbrales = () => {
+        const valorAceptable = parseFloat(aceptable.value);
+        const valorAlerta = parseFloat(alerta.value);
+
+        if (isNaN(valorAceptable) || isNaN(valorAlerta) || valorAceptable < 0 || valorAlerta < valorAceptable) {
+            alert('Los umbrales deben ser porcentajes positivos, con el de alerta mayor o igual al aceptable');
+            aceptable.value = balanceThresholds.aceptable;
+            alerta.value = balanceThresholds.alerta;
+            return;
+        }
+
+        balanceThresholds = { aceptable: valorAceptable, alerta: valorAlerta };
+        try {
+            localStorage.setItem(balanceThresholdsStorageKey, JSON.stringify(balanceThresholds));
+        } catch (error) {
+            // Los umbrales se aplican igual aunque no se puedan recordar
+            console.warn('⚠️ No se pudieron guardar los umbrales de equilibrio:', error);
+        }
+        updateBalanceSummary();
+    };
+
+    aceptable.addEventListener('change', actualizarUmbrales);
+    alerta.addEventListener('change', actualizarUmbrales);
+
+    updateBalanceSummary();
+}
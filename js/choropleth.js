@@ -0,0 +1,382 @@
+/*
+ * MÓDULO DE MAPA TEMÁTICO - choropleth.js
+ *
+ * Responsabilidades:
+ * - Modo de mapa "por variable": colorear partidos según cualquier variable numérica
+ * - Clasificación por cuantiles, intervalos iguales o cortes naturales (Jenks)
+ * - Rampas de color y leyenda sobre el mapa Leaflet
+ * - Bordes de las divisiones dibujados por encima del coloreado
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Rampas secuenciales de 7 tonos (ColorBrewer / viridis); para menos clases se muestrean
+const choroplethRamps = {
+    azules: { nombre: 'Azules', colores: ['#eff3ff', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#084594'] },
+    verdes: { nombre: 'Verdes', colores: ['#edf8e9', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#005a32'] },
+    rojos: { nombre: 'Rojos', colores: ['#fee5d9', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#99000d'] },
+    naranjas: { nombre: 'Naranjas', colores: ['#feedde', '#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#8c2d04'] },
+    purpuras: { nombre: 'Púrpuras', colores: ['#f2f0f7', '#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#4a1486'] },
+    viridis: { nombre: 'Viridis', colores: ['#fde725', '#90d743', '#35b779', '#21918c', '#31688e', '#443983', '#440154'] }
+};
+
+// Métodos de clasificación disponibles
+const choroplethMethods = {
+    cuantiles: 'Cuantiles',
+    intervalos: 'Intervalos iguales',
+    jenks: 'Cortes naturales (Jenks)'
+};
+
+// Color de los partidos sin dato para la variable elegida
+const choroplethNoDataColor = '#d5d8dc';
+
+// =============================================
+// CLASIFICACIÓN
+// =============================================
+
+/**
+ * CORTES POR CUANTILES: cada clase tiene aproximadamente la misma cantidad de partidos
+ * @param {Array<number>} valores - Valores ordenados de menor a mayor
+ * @param {number} clases - Cantidad de clases
+ * @returns {Array<number>} - Límite superior de cada clase
+ */
+function quantileBreaks(valores, clases) {
+    const cortes = [];
+    for (let i = 1; i <= clases; i++) {
+        const posicion = Math.ceil(i * valores.length / clases) - 1;
+        cortes.push(valores[Math.min(Math.max(posicion, 0), valores.length - 1)]);
+    }
+    return cortes;
+}
+
+/**
+ * CORTES POR INTERVALOS IGUALES ENTRE EL MÍNIMO Y EL MÁXIMO
+ * @param {Array<number>} valores - Valores ordenados de menor a mayor
+ * @param {number} clases - Cantidad de clases
+ * @returns {Array<number>} - Límite superior de cada clase
+ */
+function equalIntervalBreaks(valores, clases) {
+    const minimo = valores[0];
+    const paso = (valores[valores.length - 1] - minimo) / clases;
+    return Array.from({length: clases}, (_, i) => i === clases - 1 ? valores[valores.length - 1] : minimo + paso * (i + 1));
+}
+
+/**
+ * CORTES NATURALES DE JENKS (programación dinámica de Fisher)
+ * Minimiza la varianza dentro de cada clase
+ * @param {Array<number>} valores - Valores ordenados de menor a mayor
+ * @param {number} clases - Cantidad de clases
+ * @returns {Array<number>} - Límite superior de cada clase
+ */
+function jenksBreaks(valores, clases) {
+    const n = valores.length;
+    if (clases >= n) return valores.slice();
+
+    // limiteInferior[i][j]: primer índice de la última clase al partir valores[0..i-1] en j clases
+    const limiteInferior = Array.from({length: n + 1}, () => new Array(clases + 1).fill(0));
+    const varianza = Array.from({length: n + 1}, () => new Array(clases + 1).fill(Infinity));
+    for (let j = 1; j <= clases; j++) {
+        limiteInferior[1][j] = 1;
+        varianza[1][j] = 0;
+    }
+
+    for (let i = 2; i <= n; i++) {
+        let suma = 0, sumaCuadrados = 0, cantidad = 0, varianzaClase = 0;
+
+        for (let m = 1; m <= i; m++) {
+            const inferior = i - m + 1;
+            const valor = valores[inferior - 1];
+            cantidad++;
+            suma += valor;
+            sumaCuadrados += valor * valor;
+            varianzaClase = sumaCuadrados - (suma * suma) / cantidad;
+
+            if (inferior === 1) continue;
+            for (let j = 2; j <= clases; j++) {
+                if (varianza[i][j] >= varianzaClase + varianza[inferior - 1][j - 1]) {
+                    limiteInferior[i][j] = inferior;
+                    varianza[i][j] = varianzaClase + varianza[inferior - 1][j - 1];
+                }
+            }
+        }
+        limiteInferior[i][1] = 1;
+        varianza[i][1] = varianzaClase;
+    }
+
+    const cortes = new Array(clases);
+    cortes[clases - 1] = valores[n - 1];
+    let k = n;
+    for (let j = clases; j >= 2; j--) {
+        k = limiteInferior[k][j] - 1;
+        cortes[j - 2] = valores[k - 1];
+    }
+    return cortes;
+}
+
+/**
+ * MUESTREA UNA RAMPA DE 7 TONOS PARA LA CANTIDAD DE CLASES PEDIDA
+ * @param {string} rampa - Clave de choroplethRamps
+ * @param {number} clases - Cantidad de clases
+ * @returns {Array<string>} - Un color por clase, de menor a mayor
+ */
+function rampColors(rampa, clases) {
+    const colores = choroplethRamps[rampa].colores;
+    if (clases === 1) return [colores[colores.length - 1]];
+    return Array.from({length: clases}, (_, i) => colores[Math.round(i * (colores.length - 1) / (clases - 1))]);
+}
+
+/**
+ * CLASIFICA LOS PARTIDOS SEGÚN LA CONFIGURACIÓN ACTUAL
+ * El resultado no depende de las divisiones, así que solo se recalcula al cambiar la configuración
+ */
+function classifyChoropleth() {
+    const { variable, metodo, rampa, clases } = choroplethSettings;
+
+    const valores = new Map();
+    allDepartments.forEach(dept => {
+        const resultado = valorVariablePartido(dept.properties.cde, variable);
+        if (resultado.valor !== null && isFinite(resultado.valor)) {
+            valores.set(dept.properties.nam, resultado.valor);
+        }
+    });
+
+    const ordenados = Array.from(valores.values()).sort((a, b) => a - b);
+    if (ordenados.length === 0) {
+        choroplethClassification = { valores, cortes: [], colores: [], minimo: null };
+        return;
+    }
+
+    const cantidad = Math.min(clases, new Set(ordenados).size);
+    const calcularCortes = { cuantiles: quantileBreaks, intervalos: equalIntervalBreaks, jenks: jenksBreaks }[metodo];
+
+    // Los cuantiles pueden repetir cortes cuando hay valores iguales
+    const cortes = Array.from(new Set(calcularCortes(ordenados, cantidad)));
+
+    choroplethClassification = {
+        valores: valores,
+        cortes: cortes,
+        colores: rampColors(rampa, cortes.length),
+        minimo: ordenados[0]
+    };
+}
+
+/**
+ * OBTIENE EL COLOR DE UN VALOR SEGÚN LA CLASIFICACIÓN ACTUAL
+ * @param {number|undefined} valor - Valor del partido
+ * @returns {string} - Color de relleno
+ */
+function choroplethColor(valor) {
+    if (valor === undefined) return choroplethNoDataColor;
+
+    const { cortes, colores } = choroplethClassification;
+    const clase = cortes.findIndex(corte => valor <= corte);
+    return colores[clase === -1 ? colores.length - 1 : clase];
+}
+
+// =============================================
+// ESTILO Y CAPAS DEL MAPA
+// =============================================
+
+/**
+ * ESTILO DE UN PARTIDO EN EL MODO "POR VARIABLE"
+ * Se usa desde getDepartmentStyle(); los bordes de las divisiones van en otra capa
+ * @param {Object} feature - Feature GeoJSON del partido
+ * @returns {Object} - Estilo Leaflet
+ */
+function getChoroplethStyle(feature) {
+    return {
+        fillColor: choroplethColor(choroplethClassification.valores.get(feature.properties.nam)),
+        fillOpacity: 0.85,
+        color: '#7f8c8d',
+        weight: 0.6,
+        opacity: 0.8,
+        dashArray: null
+    };
+}
+
+/**
+ * FORMATEA UN VALOR DE LA VARIABLE ELEGIDA PARA LEYENDA Y TOOLTIPS
+ * @param {number} valor - Valor a mostrar
+ * @returns {string} - Valor con separadores de miles
+ */
+function formatChoroplethValue(valor) {
+    return formatearNumero(Number.isInteger(valor) ? valor : valor.toFixed(1));
+}
+
+/**
+ * DIBUJA LOS BORDES DE CADA DIVISIÓN POR ENCIMA DEL COLOREADO POR VARIABLE
+ */
+function updateDivisionBorders() {
+    if (!divisionBordersLayer) {
+        map.createPane('divisionBorders');
+        map.getPane('divisionBorders').style.zIndex = 450;
+        map.getPane('divisionBorders').style.pointerEvents = 'none';
+        divisionBordersLayer = L.layerGroup().addTo(map);
+    }
+    divisionBordersLayer.clearLayers();
+    if (mapMode !== 'variable') return;
+
+    Object.keys(departmentGroups).forEach(groupId => {
+        const geometria = dissolveDivision(groupId);
+        if (!geometria) return;
+
+        // Un halo blanco debajo del color de la división para que se lea sobre cualquier tono
+        [{ color: 'white', weight: 5 }, { color: departmentGroups[groupId].color, weight: 2.5 }].forEach(trazo => {
+            L.geoJSON(geometria, {
+                pane: 'divisionBorders',
+                interactive: false,
+                style: Object.assign({ fill: false, opacity: 1 }, trazo)
+            }).addTo(divisionBordersLayer);
+        });
+    });
+}
+
+/**
+ * ACTUALIZA LOS TOOLTIPS DE LOS PARTIDOS SEGÚN EL MODO DEL MAPA
+ */
+function updateChoroplethTooltips() {
+    const meta = partidosData && partidosData.variables[choroplethSettings.variable];
+
+    geoJsonLayer.eachLayer(layer => {
+        const nombre = layer.feature.properties.nam;
+        let contenido = `<strong>${nombre}</strong>`;
+
+        if (mapMode === 'variable' && meta) {
+            const valor = choroplethClassification.valores.get(nombre);
+            contenido += `<br>${meta.nombre}: ${valor === undefined ? 'sin dato' : formatChoroplethValue(valor)}${meta.unidad ? ' ' + meta.unidad : ''}`;
+        }
+        layer.setTooltipContent(contenido);
+    });
+}
+
+/**
+ * ARMA EL CONTENIDO DE LA LEYENDA
+ * @returns {string} - HTML de la leyenda
+ */
+function buildChoroplethLegend() {
+    const meta = partidosData.variables[choroplethSettings.variable];
+    const { cortes, colores, minimo, valores } = choroplethClassification;
+
+    let html = `<h4>${escapeHTML(meta.nombre)}${meta.unidad ? ` (${escapeHTML(meta.unidad)})` : ''}</h4>`;
+    cortes.forEach((corte, index) => {
+        const desde = index === 0 ? minimo : cortes[index - 1];
+        html += `<div><span class="legend-swatch" style="background:${colores[index]}"></span>${formatChoroplethValue(desde)} – ${formatChoroplethValue(corte)}</div>`;
+    });
+
+    if (valores.size < allDepartments.length) {
+        html += `<div><span class="legend-swatch" style="background:${choroplethNoDataColor}"></span>Sin dato</div>`;
+    }
+    html += `<div class="legend-method">${choroplethMethods[choroplethSettings.metodo]}</div>`;
+    return html;
+}
+
+/**
+ * MUESTRA U OCULTA LA LEYENDA SEGÚN EL MODO DEL MAPA
+ */
+function updateChoroplethLegend() {
+    if (!choroplethLegend) {
+        choroplethLegend = L.control({ position: 'bottomright' });
+        choroplethLegend.onAdd = function() {
+            const div = L.DomUtil.create('div', 'map-legend');
+            L.DomEvent.disableClickPropagation(div);
+            return div;
+        };
+    }
+
+    choroplethLegend.remove();
+    if (mapMode === 'variable') {
+        choroplethLegend.addTo(map);
+        choroplethLegend.getContainer().innerHTML = buildChoroplethLegend();
+    }
+}
+
+/**
+ * ACTUALIZA LAS CAPAS DEL MODO "POR VARIABLE" (BORDES DE DIVISIONES)
+ * Se llama desde notifyStateChange(), porque los bordes dependen de las asignaciones
+ */
+function updateChoropleth() {
+    if (!map || !geoJsonLayer) return;
+    updateDivisionBorders();
+}
+
+/**
+ * CAMBIA EL MODO DEL MAPA O LA CONFIGURACIÓN DEL COLOREADO Y REDIBUJA
+ */
+function refreshMapMode() {
+    if (mapMode === 'variable') classifyChoropleth();
+
+    updateMapColors();
+    updateDivisionBorders();
+    updateChoroplethTooltips();
+    updateChoroplethLegend();
+}
+
+// =============================================
+// CONTROLES DE LA INTERFAZ
+// =============================================
+
+/**
+ * CARGA LAS OPCIONES DE LOS SELECTORES DEL MAPA TEMÁTICO
+ */
+function populateChoroplethSelectors() {
+    const variableSelect = document.getElementById('choropleth-variable');
+    variableSelect.innerHTML = '';
+    obtenerVariablesTabla().forEach(variable => {
+        const option = document.createElement('option');
+        option.value = variable;
+        option.textContent = partidosData.variables[variable].nombre;
+        variableSelect.appendChild(option);
+    });
+
+    const llenar = (selectId, opciones) => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = Object.keys(opciones)
+            .map(clave => `<option value="${clave}">${escapeHTML(opciones[clave])}</option>`)
+            .join('');
+    };
+    llenar('choropleth-method', choroplethMethods);
+    llenar('choropleth-ramp', Object.fromEntries(Object.keys(choroplethRamps).map(clave => [clave, choroplethRamps[clave].nombre])));
+}
+
+/**
+ * CONFIGURA EL SELECTOR DE MODO DEL MAPA Y LAS OPCIONES DEL COLOREADO
+ */
+function setupChoropleth() {
+    const modo = document.getElementById('map-mode');
+    const opciones = document.getElementById('choropleth-options');
+
+    if (!partidosData || !partidosData.variables) {
+        modo.disabled = true;
+        return;
+    }
+
+    populateChoroplethSelectors();
+    if (!partidosData.variables[choroplethSettings.variable]) {
+        choroplethSettings.variable = obtenerVariablesTabla()[0];
+    }
+
+    const campos = {
+        'choropleth-variable': 'variable',
+        'choropleth-method': 'metodo',
+        'choropleth-ramp': 'rampa',
+        'choropleth-classes': 'clases'
+    };
+    Object.keys(campos).forEach(id => {
+        const select = document.getElementById(id);
+        select.value = choroplethSettings[campos[id]];
+        select.addEventListener('change', function() {
+            choroplethSettings[campos[id]] = campos[id] === 'clases' ? parseInt(this.value) : this.value;
+            refreshMapMode();
+        });
+    });
+
+    modo.value = mapMode;
+    modo.addEventListener('change', function() {
+        mapMode = this.value;
+        opciones.hidden = mapMode !== 'variable';
+        console.log(`🎨 Modo del mapa: ${mapMode === 'variable' ? 'por variable' : 'por división'}`);
+        refreshMapMode();
+    });
+}
@@ -0,0 +1,330 @@
+/*
+ * MÓDULO DE REGLAS DEL PLAN - constraints.js
+ *
+ * Responsabilidades:
+ * - Definir reglas que debe cumplir un plan (rango de población, cantidad de
+ *   partidos, contigüidad, reparto del GBA) con parámetros editables
+ * - Reevaluarlas en cada notifyStateChange() y listar los incumplimientos
+ * - Resaltar en el mapa la división o los partidos de cada incumplimiento
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Clave de localStorage para recordar las reglas definidas
+const planRulesStorageKey = 'desarmaPBA.reglas';
+
+/*
+ * Tipos de regla. Cada uno declara sus parámetros, cómo describirse y cómo evaluarse;
+ * evaluar() devuelve los incumplimientos: [{mensaje, grupoId?, partidos?: [nombres]}]
+ */
+const planRuleTypes = {
+    poblacion_rango: {
+        parametros: [
+            { clave: 'minimo', antes: 'Cada división entre', despues: '%', defecto: 8 },
+            { clave: 'maximo', antes: 'y', despues: '% de la población provincial', defecto: 15 }
+        ],
+        evaluar: evaluarReglaPoblacion
+    },
+    max_partidos: {
+        parametros: [
+            { clave: 'maximo', antes: 'Máximo', despues: ' partidos por división', defecto: 25 }
+        ],
+        evaluar: evaluarReglaPartidos
+    },
+    contigua: {
+        parametros: [],
+        texto: 'Todas las divisiones deben ser contiguas',
+        evaluar: evaluarReglaContiguidad
+    },
+    gba_divisiones: {
+        parametros: [
+            { clave: 'maximo', antes: 'Los partidos del GBA repartidos en no más de', despues: ' divisiones', defecto: 2 }
+        ],
+        evaluar: evaluarReglaGBA
+    }
+};
+
+// =============================================
+// EVALUACIÓN DE REGLAS
+// =============================================
+
+/**
+ * OBTIENE LOS IDS DE LAS DIVISIONES CON PARTIDOS ASIGNADOS
+ * Las divisiones vacías no se evalúan: todavía no forman parte del plan
+ * @returns {Array<number>} - IDs de división
+ */
+function getNonEmptyDivisionIds() {
+    return Array.from({length: currentDivisionCount}, (_, i) => i + 1)
+        .filter(grupoId => departmentGroups[grupoId] && departmentGroups[grupoId].departments.length > 0);
+}
+
+/**
+ * REGLA: POBLACIÓN DE CADA DIVISIÓN DENTRO DE UN RANGO (% DEL TOTAL PROVINCIAL)
+ * @param {Object} regla - {minimo, maximo}
+ * @returns {Array<Object>} - Incumplimientos
+ */
+function evaluarReglaPoblacion(regla) {
+    if (!partidosData || !partidosData.datos) return [];
+
+    const poblacionTotal = calcularTotalCodigos(allDepartments.map(dept => dept.properties.cde), 'poblacion_total');
+    if (poblacionTotal === 0) return [];
+
+    const incumplimientos = [];
+    getNonEmptyDivisionIds().forEach(grupoId => {
+        const porcentaje = calcularTotalDivision(grupoId, 'poblacion_total') / poblacionTotal * 100;
+        if (porcentaje < regla.minimo || porcentaje > regla.maximo) {
+            incumplimientos.push({
+                mensaje: `"${departmentGroups[grupoId].name}" tiene el ${porcentaje.toFixed(1).replace('.', ',')}% de la población`,
+                grupoId: grupoId
+            });
+        }
+    });
+    return incumplimientos;
+}
+
+/**
+ * REGLA: CANTIDAD MÁXIMA DE PARTIDOS POR DIVISIÓN
+ * @param {Object} regla - {maximo}
+ * @returns {Array<Object>} - Incumplimientos
+ */
+function evaluarReglaPartidos(regla) {
+    return getNonEmptyDivisionIds()
+        .filter(grupoId => departmentGroups[grupoId].departments.length > regla.maximo)
+        .map(grupoId => ({
+            mensaje: `"${departmentGroups[grupoId].name}" tiene ${departmentGroups[grupoId].departments.length} partidos`,
+            grupoId: grupoId
+        }));
+}
+
+/**
+ * REGLA: TODAS LAS DIVISIONES CONTIGUAS
+ * Se resaltan los partidos que quedan fuera de la pieza principal
+ * @returns {Array<Object>} - Incumplimientos
+ */
+function evaluarReglaContiguidad() {
+    return getNonEmptyDivisionIds()
+        .filter(grupoId => contarPiezasDivision(grupoId) > 1)
+        .map(grupoId => ({
+            mensaje: `"${departmentGroups[grupoId].name}" está formada por ${contarPiezasDivision(grupoId)} piezas`,
+            partidos: departmentGroups[grupoId].departments.filter(deptName => fragmentDepartments.has(deptName))
+        }));
+}
+
+/**
+ * REGLA: PARTIDOS DEL GBA REPARTIDOS EN POCAS DIVISIONES
+ * Se resaltan los partidos del GBA que están fuera de la división que tiene más de ellos
+ * @param {Object} regla - {maximo}
+ * @returns {Array<Object>} - Incumplimientos
+ */
+function evaluarReglaGBA(regla) {
+    const gbaPorDivision = getNonEmptyDivisionIds()
+        .map(grupoId => departmentGroups[grupoId].departments.filter(isGBADepartment))
+        .filter(partidos => partidos.length > 0)
+        .sort((a, b) => b.length - a.length);
+
+    if (gbaPorDivision.length <= regla.maximo) return [];
+    return [{
+        mensaje: `Los partidos del GBA están repartidos en ${gbaPorDivision.length} divisiones`,
+        partidos: gbaPorDivision.slice(1).flat()
+    }];
+}
+
+/**
+ * DESCRIBE UNA REGLA EN TEXTO
+ * @param {Object} regla - Regla con su tipo y parámetros
+ * @returns {string} - Descripción legible
+ */
+function describirRegla(regla) {
+    const tipo = planRuleTypes[regla.tipo];
+    return tipo.texto || tipo.parametros
+        .map(parametro => `${parametro.antes} ${regla[parametro.clave]}${parametro.despues}`)
+        .join(' ');
+}
+
+/**
+ * EVALÚA TODAS LAS REGLAS ACTIVAS
+ * @returns {Array<Object>} - [{regla, mensaje, grupoId?, partidos?}]
+ */
+function evaluarReglas() {
+    const incumplimientos = [];
+    planRules.forEach(regla => {
+        if (!regla.activa) return;
+        planRuleTypes[regla.tipo].evaluar(regla).forEach(incumplimiento => {
+            incumplimientos.push(Object.assign({ regla: describirRegla(regla) }, incumplimiento));
+        });
+    });
+    return incumplimientos;
+}
+
+// =============================================
+// PANEL DE REGLAS
+// =============================================
+
+/**
+ * CREA UNA REGLA NUEVA CON LOS PARÁMETROS POR DEFECTO DE SU TIPO
+ * @param {string} tipo - Clave de planRuleTypes
+ * @returns {Object} - Regla activa
+ */
+function createPlanRule(tipo) {
+    const regla = { tipo: tipo, activa: true };
+    planRuleTypes[tipo].parametros.forEach(parametro => { regla[parametro.clave] = parametro.defecto; });
+    return regla;
+}
+
+/**
+ * GUARDA LAS REGLAS Y VUELVE A EVALUARLAS
+ */
+function savePlanRules() {
+    try {
+        localStorage.setItem(planRulesStorageKey, JSON.stringify(planRules));
+    } catch (error) {
+        console.warn('⚠️ No se pudieron guardar las reglas:', error);
+    }
+    updateConstraintViolations();
+}
+
+/**
+ * DIBUJA LA LISTA DE REGLAS CON SUS PARÁMETROS EDITABLES
+ */
+function renderPlanRules() {
+    const lista = document.getElementById('rules-list');
+    lista.innerHTML = '';
+
+    planRules.forEach((regla, index) => {
+        const tipo = planRuleTypes[regla.tipo];
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+
+        const activa = document.createElement('input');
+        activa.type = 'checkbox';
+        activa.checked = regla.activa;
+        activa.title = 'Evaluar esta regla';
+        activa.addEventListener('change', () => {
+            regla.activa = activa.checked;
+            savePlanRules();
+        });
+        item.appendChild(activa);
+
+        if (tipo.texto) {
+            item.appendChild(document.createTextNode(tipo.texto));
+        }
+        tipo.parametros.forEach(parametro => {
+            item.appendChild(document.createTextNode(` ${parametro.antes} `));
+
+            const campo = document.createElement('input');
+            campo.type = 'number';
+            campo.min = '0';
+            campo.step = 'any';
+            campo.value = regla[parametro.clave];
+            campo.addEventListener('change', () => {
+                const valor = parseFloat(campo.value);
+                if (isNaN(valor) || valor < 0) {
+                    campo.value = regla[parametro.clave];
+                    return;
+                }
+                regla[parametro.clave] = valor;
+                savePlanRules();
+            });
+            item.appendChild(campo);
+
+            item.appendChild(document.createTextNode(parametro.despues));
+        });
+
+        const quitar = document.createElement('button');
+        quitar.className = 'rule-remove';
+        quitar.textContent = '✕';
+        quitar.title = 'Quitar la regla';
+        quitar.addEventListener('click', () => {
+            planRules.splice(index, 1);
+            renderPlanRules();
+            savePlanRules();
+        });
+        item.appendChild(quitar);
+
+        lista.appendChild(item);
+    });
+}
+
+/**
+ * RESALTA EN EL MAPA LA DIVISIÓN O LOS PARTIDOS DE UN INCUMPLIMIENTO
+ * @param {Object} incumplimiento - {grupoId?, partidos?}
+ */
+function highlightViolation(incumplimiento) {
+    const partidos = incumplimiento.partidos ||
+        (departmentGroups[incumplimiento.grupoId] ? departmentGroups[incumplimiento.grupoId].departments : []);
+    const features = partidos.map(getDepartmentByName).filter(Boolean);
+    if (features.length === 0) return;
+
+    partidos.forEach(deptName => highlightDepartment(deptName));
+    map.fitBounds(L.geoJSON(features).getBounds(), { padding: [40, 40], maxZoom: 9 });
+}
+
+/**
+ * REEVALÚA LAS REGLAS Y ACTUALIZA LA LISTA DE INCUMPLIMIENTOS
+ * Se llama desde notifyStateChange()
+ */
+function updateConstraintViolations() {
+    const lista = document.getElementById('rule-violations');
+    const resumen = document.getElementById('rule-violations-summary');
+    const incumplimientos = evaluarReglas();
+
+    lista.innerHTML = '';
+    if (planRules.every(regla => !regla.activa)) {
+        resumen.textContent = 'No hay reglas activas.';
+        resumen.className = 'rule-summary';
+        return;
+    }
+    if (incumplimientos.length === 0) {
+        resumen.textContent = '✅ El plan cumple todas las reglas activas.';
+        resumen.className = 'rule-summary rule-summary-ok';
+        return;
+    }
+
+    resumen.textContent = `⚠️ ${incumplimientos.length} ${incumplimientos.length === 1 ? 'incumplimiento' : 'incumplimientos'} (clic para verlos en el mapa):`;
+    resumen.className = 'rule-summary rule-summary-error';
+
+    incumplimientos.forEach(incumplimiento => {
+        const item = document.createElement('li');
+        item.className = 'violation-item';
+        item.innerHTML = `<strong>${escapeHTML(incumplimiento.mensaje)}</strong><span>${escapeHTML(incumplimiento.regla)}</span>`;
+        item.addEventListener('click', () => highlightViolation(incumplimiento));
+        lista.appendChild(item);
+    });
+}
+
+/**
+ * CONFIGURA EL PANEL DE REGLAS
+ * Las reglas definidas se recuerdan entre sesiones; la primera vez se proponen
+ * las reglas de ejemplo, desactivadas
+ */
+function setupConstraintRules() {
+    planRules = Object.keys(planRuleTypes).map(tipo => Object.assign(createPlanRule(tipo), { activa: false }));
+    try {
+        const guardadas = JSON.parse(localStorage.getItem(planRulesStorageKey));
+        if (Array.isArray(guardadas)) {
+            planRules = guardadas.filter(regla => regla && planRuleTypes[regla.tipo]);
+        }
+    } catch (error) {
+        console.warn('⚠️ No se pudieron leer las reglas guardadas:', error);
+    }
+
+    const agregar = document.getElementById('add-rule-select');
+    Object.keys(planRuleTypes).forEach(tipo => {
+        const option = document.createElement('option');
+        option.value = tipo;
+        option.textContent = describirRegla(createPlanRule(tipo));
+        agregar.appendChild(option);
+    });
+    agregar.addEventListener('change', function() {
+        if (!this.value) return;
+        planRules.push(createPlanRule(this.value));
+        this.value = '';
+        renderPlanRules();
+        savePlanRules();
+    });
+
+    renderPlanRules();
+    updateConstraintViolations();
+}
@@ -133,20 +133,33 @@ function obtenerCodigoCdePorNombre(nombreDepartamento) {
  * @returns {number} - Suma total de la variable para la división
  */
 function calcularTotalDivision(grupoId, variable) {
+    const partidosEnGrupo = departmentGroups[grupoId].departments;
+    const codigos = partidosEnGrupo.map(nombrePartido => obtenerCodigoCdePorNombre(nombrePartido));
+    return calcularTotalCodigos(codigos, variable);
+}
+
+/**
+ * CALCULA EL TOTAL DE UNA VARIABLE PARA UNA LISTA DE CÓDIGOS CDE
+ * Permite calcular totales de planes que no están cargados en la interfaz
+ * @param {Array<string>} codigos - Códigos CDE de los departamentos
+ * @param {string} variable - Nombre de la variable a sumar
+ * @param {string} anio - Año censal (por defecto, el elegido en la interfaz)
+ * @returns {number} - Suma total de la variable
+ */
+function calcularTotalCodigos(codigos, variable, anio = selectedCensusYear) {
     // Verificar que tenemos datos cargados
     if (!partidosData || !partidosData.datos) {
         return 0;
     }
     
-    const partidosEnGrupo = departmentGroups[grupoId].departments;
     let total = 0;
     let partidosConDatos = 0;
     
-    // Sumar la variable para cada departamento en la división
-    partidosEnGrupo.forEach(nombrePartido => {
-        const codigoCde = obtenerCodigoCdePorNombre(nombrePartido);
-        if (codigoCde && partidosData.datos[codigoCde] && partidosData.datos[codigoCde][variable]) {
-            total += partidosData.datos[codigoCde][variable];
+    // Sumar la variable para cada departamento
+    codigos.forEach(codigoCde => {
+        const valor = codigoCde ? obtenerDatoPartido(codigoCde, variable, anio) : undefined;
+        if (valor) {
+            total += valor;
             partidosConDatos++;
         }
     });
@@ -155,24 +168,335 @@ function calcularTotalDivision(grupoId, variable) {
     return partidosConDatos > 0 ? total : 0;
 }
 
+// =============================================
+// DATOS POR AÑO CENSAL
+// =============================================
+
+/*
+ * 'datos' contiene los valores del año indicado en metadata.anio_datos. Otros censos
+ * se cargan en 'censos' con los códigos que usaba cada uno:
+ *   "censos": {"2010": {"06xxx": {"poblacion_total": 123}, ...}}
+ * Si un partido se creó o cambió de código, 'equivalencias_codigos' indica de qué
+ * códigos de ese censo (y en qué proporción) se obtiene su valor:
+ *   "equivalencias_codigos": {"2010": {"<cde actual>": [{"cde": "<cde 2010>", "proporcion": 0.4}]}}
+ * Solo las variables marcadas con "por_censo": true cambian de un censo a otro;
+ * el resto (por ejemplo la superficie) se toma siempre de 'datos'.
+ */
+
 /**
- * CALCULA LA DENSIDAD POBLACIONAL PARA UNA DIVISIÓN
- * @param {number} grupoId - ID de la división
- * @returns {string} - Densidad formateada con 1 decimal
+ * OBTIENE LOS AÑOS CENSALES DISPONIBLES
+ * @returns {Array<string>} - Años ordenados de menor a mayor
+ */
+function obtenerAniosCensales() {
+    if (!partidosData) return [];
+    
+    const anios = new Set(Object.keys(partidosData.censos || {}));
+    if (partidosData.metadata && partidosData.metadata.anio_datos) {
+        anios.add(partidosData.metadata.anio_datos);
+    }
+    return Array.from(anios).sort();
+}
+
+/**
+ * OBTIENE EL DATO CARGADO DE UNA VARIABLE PARA UN PARTIDO EN UN AÑO CENSAL
+ * @param {string} cde - Código CDE actual del partido
+ * @param {string} variable - Nombre de la variable (no derivada)
+ * @param {string} anio - Año censal; si se omite o es el de 'datos', se usa 'datos'
+ * @returns {number|undefined} - Valor o undefined si no hay dato
+ */
+function obtenerDatoPartido(cde, variable, anio = selectedCensusYear) {
+    if (!partidosData || !partidosData.datos) return undefined;
+    
+    const meta = partidosData.variables[variable];
+    const censo = anio && partidosData.censos && partidosData.censos[anio];
+    
+    if (censo && meta && meta.por_censo) {
+        const equivalencias = (partidosData.equivalencias_codigos || {})[anio] || {};
+        const origenes = equivalencias[cde] || [{ cde: cde, proporcion: 1 }];
+        
+        let total = 0;
+        let encontrado = false;
+        origenes.forEach(origen => {
+            const valor = censo[origen.cde] && censo[origen.cde][variable];
+            if (typeof valor !== 'number') return;
+            total += valor * (origen.proporcion === undefined ? 1 : origen.proporcion);
+            encontrado = true;
+        });
+        return encontrado ? total : undefined;
+    }
+    
+    const datos = partidosData.datos[cde];
+    return datos && typeof datos[variable] === 'number' ? datos[variable] : undefined;
+}
+
+/**
+ * OBTIENE LOS PARTIDOS SIN DATO DE UNA VARIABLE EN UN AÑO CENSAL
+ * calcularTotalCodigos los omite; con esta lista se marcan los totales como incompletos
+ * @param {Array<string>} codigos - Códigos CDE actuales de los partidos
+ * @param {string} variable - Nombre de la variable (no derivada)
+ * @param {string} anio - Año censal
+ * @returns {Array<string>} - Códigos CDE sin dato
+ */
+function obtenerPartidosSinDato(codigos, variable, anio = selectedCensusYear) {
+    return codigos.filter(cde => cde && obtenerDatoPartido(cde, variable, anio) === undefined);
+}
+
+/**
+ * VERIFICA SI UN CENSO TIENE DATOS DE TODOS LOS PARTIDOS ACTUALES
+ * Se revisan solo las variables que cambian de un censo a otro ("por_censo": true)
+ * @param {string} anio - Año censal
+ * @returns {boolean} - True si ningún partido queda sin dato
+ */
+function esCensoCompleto(anio) {
+    if (!partidosData || !partidosData.datos) return false;
+    
+    const codigos = Object.keys(partidosData.datos);
+    return Object.keys(partidosData.variables)
+        .filter(variable => partidosData.variables[variable].por_censo)
+        .every(variable => obtenerPartidosSinDato(codigos, variable, anio).length === 0);
+}
+
+/**
+ * ARMA LA FILA DE CRECIMIENTO INTERCENSAL DE LA POBLACIÓN
+ * Tasa media anual entre el primer y el último censo disponibles: (P2 / P1)^(1/t) − 1.
+ * Si a una división le faltan partidos en alguno de los censos, su tasa queda sin calcular
+ * @param {Array<Array<string>>} listasCodigos - Códigos CDE de cada división
+ * @returns {Object|null} - Fila para la tabla comparativa, o null si hay un solo censo
  */
-function calcularDensidadDivision(grupoId) {
-    const poblacion = calcularTotalDivision(grupoId, 'poblacion_total');
-    const superficie = calcularTotalDivision(grupoId, 'superficie');
+function construirFilaCrecimiento(listasCodigos) {
+    const anios = obtenerAniosCensales();
+    if (anios.length < 2) return null;
+    
+    const inicial = anios[0];
+    const final = anios[anios.length - 1];
+    const periodo = Number(final) - Number(inicial);
     
-    // Evitar división por cero y retornar densidad calculada
-    if (superficie > 0 && poblacion > 0) {
-        return (poblacion / superficie).toFixed(1);
+    const resultados = listasCodigos.map(codigos => {
+        const incompletos = [inicial, final]
+            .map(anio => ({ anio: anio, faltantes: obtenerPartidosSinDato(codigos, 'poblacion_total', anio).length }))
+            .filter(censo => censo.faltantes > 0);
+        if (incompletos.length > 0) {
+            return {
+                valor: null,
+                error: 'Incompleto: ' + incompletos
+                    .map(censo => `${censo.faltantes} ${censo.faltantes === 1 ? 'partido' : 'partidos'} sin población en el censo ${censo.anio}`)
+                    .join('; ')
+            };
+        }
+        
+        const poblacionInicial = calcularTotalCodigos(codigos, 'poblacion_total', inicial);
+        const poblacionFinal = calcularTotalCodigos(codigos, 'poblacion_total', final);
+        if (!poblacionInicial || !poblacionFinal || periodo <= 0) return { valor: null, error: null };
+        return { valor: (Math.pow(poblacionFinal / poblacionInicial, 1 / periodo) - 1) * 100, error: null };
+    });
+    
+    return {
+        etiqueta: `Crecimiento ${inicial}–${final} (% anual)`,
+        valores: resultados.map(resultado => resultado.valor),
+        errores: resultados.map(resultado => resultado.error),
+        formato: valor => valor === null ? '-' : `${valor > 0 ? '+' : ''}${valor.toFixed(2).replace('.', ',')}%`,
+        descripcion: `Tasa media anual de crecimiento de la población entre los censos ${inicial} y ${final}: (P${final} / P${inicial})^(1/${periodo}) − 1.`
+    };
+}
+
+// =============================================
+// AGREGACIÓN DE VARIABLES
+// =============================================
+
+/**
+ * OBTIENE LAS VARIABLES DE datos_partidos.json QUE SE MUESTRAN EN LA TABLA
+ * Se omiten las marcadas como 'no_aplica' (códigos, textos)
+ * @returns {Array<string>} - Nombres de variables, en el orden del archivo
+ */
+function obtenerVariablesTabla() {
+    if (!partidosData || !partidosData.variables) return [];
+
+    return Object.keys(partidosData.variables)
+        .filter(variable => partidosData.variables[variable].operacion !== 'no_aplica');
+}
+
+/**
+ * AGREGA UNA VARIABLE SOBRE UNA LISTA DE CÓDIGOS SEGÚN SU OPERACIÓN EN LA METADATA
+ * @param {Array<string>} codigos - Códigos CDE de los departamentos
+ * @param {string} variable - Nombre de la variable
+ * @returns {number|null} - Valor agregado o null si no hay datos o la fórmula falla
+ */
+function agregarVariableCodigos(codigos, variable) {
+    return evaluarVariableCodigos(codigos, variable).valor;
+}
+
+/**
+ * EVALÚA UNA VARIABLE SOBRE UNA LISTA DE CÓDIGOS, EXPLICANDO POR QUÉ NO HAY VALOR
+ * Operaciones: 'suma', 'promedio', 'promedio_ponderado' (usa la variable indicada
+ * en 'ponderacion'), 'minimo', 'maximo' y 'formula' (se calcula sobre los valores
+ * ya agregados de las variables que menciona, por ejemplo poblacion_total / superficie)
+ * @param {Array<string>} codigos - Códigos CDE de los departamentos
+ * @param {string} variable - Nombre de la variable
+ * @param {Set} enCurso - Fórmulas que se están evaluando (para detectar ciclos)
+ * @returns {Object} - {valor: number|null, error: string|null}
+ */
+function evaluarVariableCodigos(codigos, variable, enCurso = new Set()) {
+    if (!partidosData || !partidosData.datos) {
+        return { valor: null, error: 'Datos no cargados' };
     }
-    return '0.0';
+    if (!partidosData.variables[variable]) {
+        return { valor: null, error: `Variable desconocida: ${variable}` };
+    }
+    
+    const meta = partidosData.variables[variable];
+    if (meta.operacion === 'formula') {
+        return evaluarFormulaVariable(variable, enCurso, nombre => evaluarVariableCodigos(codigos, nombre, enCurso));
+    }
+    
+    const valor = agregarValoresVariable(codigos, variable, meta);
+    return { valor: valor, error: valor === null ? `Sin datos de ${meta.nombre}` : null };
+}
+
+/**
+ * AGREGA LOS VALORES CARGADOS DE UNA VARIABLE (NO DERIVADA)
+ * @param {Array<string>} codigos - Códigos CDE de los departamentos
+ * @param {string} variable - Nombre de la variable
+ * @param {Object} meta - Metadata de la variable
+ * @returns {number|null} - Valor agregado o null si no hay datos
+ */
+function agregarValoresVariable(codigos, variable, meta) {
+    const conDato = codigos.filter(cde => cde && obtenerDatoPartido(cde, variable) !== undefined);
+    if (conDato.length === 0) return null;
+    
+    const valores = conDato.map(cde => obtenerDatoPartido(cde, variable));
+    
+    switch (meta.operacion) {
+        case 'suma':
+            return valores.reduce((a, b) => a + b, 0);
+        case 'promedio':
+            return valores.reduce((a, b) => a + b, 0) / valores.length;
+        case 'promedio_ponderado': {
+            let sumaPonderada = 0;
+            let sumaPesos = 0;
+            conDato.forEach((cde, index) => {
+                const peso = obtenerDatoPartido(cde, meta.ponderacion);
+                if (typeof peso !== 'number') return;
+                sumaPonderada += valores[index] * peso;
+                sumaPesos += peso;
+            });
+            return sumaPesos > 0 ? sumaPonderada / sumaPesos : null;
+        }
+        case 'minimo':
+            return Math.min(...valores);
+        case 'maximo':
+            return Math.max(...valores);
+        default:
+            console.warn(`⚠️ Operación desconocida para ${variable}: ${meta.operacion}`);
+            return null;
+    }
+}
+
+/**
+ * OBTIENE EL VALOR DE UNA VARIABLE PARA UN PARTIDO
+ * Las variables derivadas se calculan con los valores del propio partido
+ * @param {string} cde - Código CDE del partido
+ * @param {string} variable - Nombre de la variable
+ * @param {Set} enCurso - Fórmulas que se están evaluando (para detectar ciclos)
+ * @returns {Object} - {valor: number|null, error: string|null}
+ */
+function valorVariablePartido(cde, variable, enCurso = new Set()) {
+    if (!partidosData || !partidosData.datos || !partidosData.datos[cde]) {
+        return { valor: null, error: 'Sin datos del partido' };
+    }
+    
+    const meta = partidosData.variables[variable];
+    if (!meta) {
+        return { valor: null, error: `Variable desconocida: ${variable}` };
+    }
+    if (meta.operacion === 'formula') {
+        return evaluarFormulaVariable(variable, enCurso, nombre => valorVariablePartido(cde, nombre, enCurso));
+    }
+    
+    const valor = obtenerDatoPartido(cde, variable);
+    return valor !== undefined
+        ? { valor: valor, error: null }
+        : { valor: null, error: `Sin datos de ${meta.nombre}` };
+}
+
+/**
+ * EVALÚA LA FÓRMULA DE UNA VARIABLE DERIVADA
+ * @param {string} variable - Nombre de la variable derivada
+ * @param {Set} enCurso - Fórmulas que se están evaluando (para detectar ciclos)
+ * @param {Function} obtener - Recibe el nombre de otra variable y devuelve {valor, error}
+ * @returns {Object} - {valor: number|null, error: string|null}
+ */
+function evaluarFormulaVariable(variable, enCurso, obtener) {
+    if (enCurso.has(variable)) {
+        return { valor: null, error: `La fórmula de ${variable} se refiere a sí misma` };
+    }
+    
+    enCurso.add(variable);
+    try {
+        const valor = evaluarFormula(partidosData.variables[variable].formula || '', nombre => {
+            const resultado = obtener(nombre);
+            if (resultado.error) throw new Error(resultado.error);
+            return resultado.valor;
+        });
+        return { valor: valor, error: null };
+    } catch (error) {
+        return { valor: null, error: error.message };
+    } finally {
+        enCurso.delete(variable);
+    }
+}
+
+/**
+ * ARMA LAS FILAS DE LA TABLA COMPARATIVA PARA LAS VARIABLES DEL ARCHIVO DE DATOS
+ * Agregar una variable a datos_partidos.json alcanza para que aparezca en la tabla
+ * @param {Array<Array<string>>} listasCodigos - Códigos CDE de cada división
+ * @returns {Array<Object>} - [{etiqueta, valores, errores, formato, descripcion}]
+ */
+function construirFilasVariables(listasCodigos) {
+    const nombresOperacion = {
+        promedio: 'promedio',
+        promedio_ponderado: 'promedio ponderado',
+        minimo: 'mínimo',
+        maximo: 'máximo'
+    };
+    
+    return obtenerVariablesTabla().map(variable => {
+        const meta = partidosData.variables[variable];
+        const detalle = [meta.unidad, nombresOperacion[meta.operacion]].filter(Boolean).join(', ');
+        const resultados = listasCodigos.map(codigos => evaluarVariableCodigos(codigos, variable));
+        
+        return {
+            etiqueta: detalle ? `${meta.nombre} (${detalle})` : meta.nombre,
+            valores: resultados.map(resultado => resultado.valor),
+            errores: resultados.map(resultado => resultado.error),
+            formato: valor => {
+                if (valor === null || valor === undefined) return '-';
+                return formatearNumero(Number.isInteger(valor) ? valor : valor.toFixed(1));
+            },
+            descripcion: meta.descripcion
+        };
+    });
+}
+
+/**
+ * OBTIENE LOS TOTALES DE UNA DIVISIÓN TAL COMO LOS MUESTRA LA TABLA COMPARATIVA
+ * Devuelve números (sin formatear) para exportaciones y otros cálculos
+ * @param {number} grupoId - ID de la división
+ * @returns {Object} - {cantidad_partidos, <variable>: valor agregado, ...}
+ */
+function obtenerTotalesDivision(grupoId) {
+    const departamentos = departmentGroups[grupoId] ? departmentGroups[grupoId].departments : [];
+    const codigos = departamentos.map(nombrePartido => obtenerCodigoCdePorNombre(nombrePartido));
+    
+    const totales = { cantidad_partidos: departamentos.length };
+    obtenerVariablesTabla().forEach(variable => {
+        totales[variable] = agregarVariableCodigos(codigos, variable);
+    });
+    return totales;
 }
 
 /**
  * FORMATEA NÚMEROS CON SEPARADORES DE MILES PARA MEJOR LEGIBILIDAD
+ * Los decimales (por ejemplo de toFixed) se muestran con coma
  * @param {number|string} numero - Número a formatear
  * @returns {string} - Número formateado con separadores de miles
  */
@@ -180,7 +504,9 @@ function formatearNumero(numero) {
     if (numero === 0 || numero === '0') return '0';
     if (!numero) return '-';
     
-    return numero.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    const [entera, decimales] = numero.toString().split('.');
+    const conMiles = entera.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    return decimales !== undefined ? `${conMiles},${decimales}` : conMiles;
 }
 
 // =============================================
@@ -213,4 +539,127 @@ function getDepartmentNameByCode(cde) {
  */
 function isGBADepartmentByCode(cde) {
     return gbaCodes.includes(cde);
-}
\ No newline at end of file
+}
+
+// =============================================
+// BÚSQUEDA DE PARTIDOS POR NOMBRE
+// =============================================
+
+// Palabras que no ayudan a distinguir partidos ("Coronel de Marina...")
+const palabrasIgnoradasEnNombres = ['de', 'del', 'la', 'las', 'los', 'el', 'y', 'partido', 'municipio'];
+
+// Abreviaturas frecuentes en planillas
+const abreviaturasEnNombres = {
+    'gral': 'general',
+    'cnel': 'coronel',
+    'pte': 'presidente',
+    'tte': 'teniente',
+    'cap': 'capitan',
+    'pdo': 'partido',
+    'sto': 'santo',
+    'sta': 'santa'
+};
+
+/**
+ * NORMALIZA UN NOMBRE PARA COMPARACIONES
+ * Quita acentos, mayúsculas y signos de puntuación
+ * @param {string} nombre - Nombre a normalizar
+ * @returns {string} - Nombre normalizado (ej. 'Bahía Blanca' → 'bahia blanca')
+ */
+function normalizarNombre(nombre) {
+    return String(nombre || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9ñ]+/g, ' ')
+        .trim();
+}
+
+/**
+ * DIVIDE UN NOMBRE EN PALABRAS SIGNIFICATIVAS
+ * Expande abreviaturas y descarta artículos y preposiciones
+ * @param {string} nombre - Nombre a procesar
+ * @returns {Array<string>} - Palabras normalizadas
+ */
+function palabrasSignificativas(nombre) {
+    return normalizarNombre(nombre)
+        .split(' ')
+        .map(palabra => abreviaturasEnNombres[palabra] || palabra)
+        .filter(palabra => palabra && !palabrasIgnoradasEnNombres.includes(palabra));
+}
+
+/**
+ * CALCULA LA DISTANCIA DE EDICIÓN (LEVENSHTEIN) ENTRE DOS TEXTOS
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} - Cantidad mínima de inserciones, borrados o reemplazos
+ */
+function distanciaEdicion(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+        }
+        anterior = actual;
+    }
+
+    return anterior[b.length];
+}
+
+/**
+ * BUSCA PARTIDOS POR NOMBRE IGNORANDO ACENTOS, MAYÚSCULAS Y VARIANTES
+ * Orden de criterios:
+ * 1. Nombre normalizado idéntico
+ * 2. Todas las palabras de un nombre están en el otro
+ *    ('Coronel Rosales' ↔ 'Coronel de Marina Leonardo Rosales')
+ * 3. Distancia de edición pequeña (errores de tipeo)
+ * @param {string} nombre - Nombre tal como viene de la fuente externa
+ * @returns {Object} - {estado: 'exacto'|'variante'|'aproximado'|'ambiguo'|'sin_coincidencia', candidatos: [features]}
+ */
+function buscarPartidosPorNombre(nombre) {
+    const buscado = normalizarNombre(nombre);
+    if (!buscado) {
+        return { estado: 'sin_coincidencia', candidatos: [] };
+    }
+
+    // 1. Coincidencia exacta del nombre normalizado
+    const exactos = allDepartments.filter(dept => normalizarNombre(dept.properties.nam) === buscado);
+    if (exactos.length === 1) {
+        return { estado: 'exacto', candidatos: exactos };
+    }
+
+    // 2. Un conjunto de palabras contenido en el otro
+    const palabrasBuscadas = palabrasSignificativas(nombre);
+    const variantes = allDepartments.filter(dept => {
+        const palabrasPartido = palabrasSignificativas(dept.properties.nam);
+        if (palabrasBuscadas.length === 0 || palabrasPartido.length === 0) return false;
+        return palabrasBuscadas.every(palabra => palabrasPartido.includes(palabra)) ||
+            palabrasPartido.every(palabra => palabrasBuscadas.includes(palabra));
+    });
+    if (variantes.length === 1) {
+        return { estado: 'variante', candidatos: variantes };
+    }
+    if (variantes.length > 1) {
+        return { estado: 'ambiguo', candidatos: variantes };
+    }
+
+    // 3. Errores de tipeo: hasta 2 cambios, o el 20% del largo en nombres largos
+    const tolerancia = Math.max(2, Math.floor(buscado.length * 0.2));
+    const aproximados = allDepartments
+        .map(dept => ({ dept: dept, distancia: distanciaEdicion(buscado, normalizarNombre(dept.properties.nam)) }))
+        .filter(resultado => resultado.distancia <= tolerancia)
+        .sort((a, b) => a.distancia - b.distancia);
+
+    if (aproximados.length === 0) {
+        return { estado: 'sin_coincidencia', candidatos: [] };
+    }
+
+    const mejores = aproximados.filter(resultado => resultado.distancia === aproximados[0].distancia);
+    return {
+        estado: mejores.length === 1 ? 'aproximado' : 'ambiguo',
+        candidatos: aproximados.map(resultado => resultado.dept)
+    };
+}
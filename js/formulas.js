@@ -0,0 +1,156 @@
+/*
+ * MÓDULO DE FÓRMULAS - formulas.js
+ *
+ * Responsabilidades:
+ * - Interpretar las fórmulas de variables derivadas de datos_partidos.json
+ *   (por ejemplo "poblacion_total / superficie") sin usar eval
+ * - Evaluarlas con los valores de un partido o de una división ya agregada
+ *
+ * Gramática admitida:
+ *   expresion := termino (('+' | '-') termino)*
+ *   termino   := factor (('*' | '/') factor)*
+ *   factor    := numero | variable | '(' expresion ')' | '-' factor
+ */
+
+// =============================================
+// ESTADO DEL MÓDULO
+// =============================================
+
+// Árboles ya interpretados, indexados por el texto de la fórmula
+const formulaCache = new Map();
+
+// =============================================
+// ANÁLISIS DE LA FÓRMULA
+// =============================================
+
+/**
+ * SEPARA EL TEXTO DE UNA FÓRMULA EN SÍMBOLOS
+ * @param {string} formula - Texto de la fórmula
+ * @returns {Array<Object>} - [{tipo: 'numero'|'variable'|'operador', valor}]
+ * @throws {Error} - Si aparece un carácter no permitido
+ */
+function tokenizarFormula(formula) {
+    const simbolos = [];
+    const patron = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()]))/y;
+    let posicion = 0;
+
+    while (posicion < formula.length) {
+        if (/^\s*$/.test(formula.slice(posicion))) break;
+
+        patron.lastIndex = posicion;
+        const coincidencia = patron.exec(formula);
+        if (!coincidencia) {
+            throw new Error(`Carácter no permitido en la fórmula: "${formula.slice(posicion).trim()[0]}"`);
+        }
+
+        if (coincidencia[1] !== undefined) simbolos.push({ tipo: 'numero', valor: parseFloat(coincidencia[1]) });
+        else if (coincidencia[2] !== undefined) simbolos.push({ tipo: 'variable', valor: coincidencia[2] });
+        else simbolos.push({ tipo: 'operador', valor: coincidencia[3] });
+
+        posicion = patron.lastIndex;
+    }
+
+    return simbolos;
+}
+
+/**
+ * INTERPRETA UNA FÓRMULA Y DEVUELVE SU ÁRBOL DE OPERACIONES
+ * @param {string} formula - Texto de la fórmula
+ * @returns {Object} - Nodo raíz: {tipo: 'numero'|'variable'|'negativo'|'binaria', ...}
+ * @throws {Error} - Si la fórmula está mal escrita
+ */
+function parsearFormula(formula) {
+    if (formulaCache.has(formula)) {
+        return formulaCache.get(formula);
+    }
+
+    const simbolos = tokenizarFormula(formula);
+    let indice = 0;
+
+    const actual = () => simbolos[indice];
+    const esOperador = valor => actual() && actual().tipo === 'operador' && actual().valor === valor;
+
+    const expresion = () => {
+        let nodo = termino();
+        while (esOperador('+') || esOperador('-')) {
+            const operador = simbolos[indice++].valor;
+            nodo = { tipo: 'binaria', operador, izquierda: nodo, derecha: termino() };
+        }
+        return nodo;
+    };
+
+    const termino = () => {
+        let nodo = factor();
+        while (esOperador('*') || esOperador('/')) {
+            const operador = simbolos[indice++].valor;
+            nodo = { tipo: 'binaria', operador, izquierda: nodo, derecha: factor() };
+        }
+        return nodo;
+    };
+
+    const factor = () => {
+        const simbolo = actual();
+        if (!simbolo) throw new Error('La fórmula termina de forma incompleta');
+
+        if (simbolo.tipo === 'numero' || simbolo.tipo === 'variable') {
+            indice++;
+            return { tipo: simbolo.tipo, valor: simbolo.valor };
+        }
+        if (esOperador('-')) {
+            indice++;
+            return { tipo: 'negativo', operando: factor() };
+        }
+        if (esOperador('(')) {
+            indice++;
+            const nodo = expresion();
+            if (!esOperador(')')) throw new Error('Falta cerrar un paréntesis en la fórmula');
+            indice++;
+            return nodo;
+        }
+        throw new Error(`Símbolo inesperado en la fórmula: "${simbolo.valor}"`);
+    };
+
+    const arbol = expresion();
+    if (indice < simbolos.length) {
+        throw new Error(`Símbolo inesperado en la fórmula: "${simbolos[indice].valor}"`);
+    }
+
+    formulaCache.set(formula, arbol);
+    return arbol;
+}
+
+// =============================================
+// EVALUACIÓN
+// =============================================
+
+/**
+ * EVALÚA UNA FÓRMULA
+ * @param {string} formula - Texto de la fórmula
+ * @param {Function} obtenerValor - Recibe el nombre de una variable y devuelve su valor
+ *                                  (o lanza un Error que explica por qué no lo hay)
+ * @returns {number} - Resultado
+ * @throws {Error} - Si la fórmula es inválida, falta un valor o se divide por cero
+ */
+function evaluarFormula(formula, obtenerValor) {
+    const evaluarNodo = nodo => {
+        switch (nodo.tipo) {
+            case 'numero':
+                return nodo.valor;
+            case 'variable':
+                return obtenerValor(nodo.valor);
+            case 'negativo':
+                return -evaluarNodo(nodo.operando);
+            case 'binaria': {
+                const izquierda = evaluarNodo(nodo.izquierda);
+                const derecha = evaluarNodo(nodo.derecha);
+                if (nodo.operador === '+') return izquierda + derecha;
+                if (nodo.operador === '-') return izquierda - derecha;
+                if (nodo.operador === '*') return izquierda * derecha;
+                if (derecha === 0) throw new Error('División por cero');
+                return izquierda / derecha;
+            }
+        }
+    };
+
+    return evaluarNodo(parsearFormula(formula));
+}
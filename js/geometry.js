@@ -0,0 +1,452 @@
+/*
+ * MÓDULO DE GEOMETRÍA - geometry.js
+ *
+ * Responsabilidades:
+ * - Operaciones espaciales sobre los departamentos (con Turf.js)
+ * - Disolución de los partidos de cada división en un único (multi)polígono
+ * - Grafo de adyacencia entre partidos y contigüidad de divisiones
+ * - Índices de compacidad (Polsby-Popper, Reock, envolvente convexa)
+ */
+
+// =============================================
+// ESTADO DEL MÓDULO
+// =============================================
+
+// Geometrías disueltas ya calculadas, indexadas por la lista de CDE de sus partidos.
+// Se conservan las usadas más recientemente: las divisiones actuales y unos pocos
+// pasos anteriores, para que deshacer no vuelva a unir todo
+const dissolveCache = new Map();
+const maxDissolveCacheEntries = 60;
+
+// =============================================
+// DISOLUCIÓN DE DIVISIONES
+// =============================================
+
+/**
+ * OBTIENE LOS FEATURES GEOJSON DE LOS PARTIDOS DE UNA DIVISIÓN
+ * @param {number} grupoId - ID de la división
+ * @returns {Array<Object>} - Features de los partidos de la división
+ */
+function getDivisionFeatures(grupoId) {
+    if (!departmentGroups[grupoId]) return [];
+
+    return departmentGroups[grupoId].departments
+        .map(deptName => getDepartmentByName(deptName))
+        .filter(Boolean);
+}
+
+/**
+ * UNE VARIOS FEATURES EN UNA SOLA GEOMETRÍA (DISOLUCIÓN)
+ * Los bordes compartidos desaparecen; los partidos no contiguos quedan como MultiPolygon
+ * @param {Array<Object>} features - Features Polygon/MultiPolygon
+ * @returns {Object|null} - Geometría resultante o null si no hay features
+ */
+function dissolveFeatures(features) {
+    if (features.length === 0) return null;
+
+    const clave = features.map(feature => feature.properties.cde).sort().join(',');
+    if (dissolveCache.has(clave)) {
+        // Reinsertar la entrada la marca como la más reciente
+        const guardada = dissolveCache.get(clave);
+        dissolveCache.delete(clave);
+        dissolveCache.set(clave, guardada);
+        return guardada;
+    }
+
+    let geometria;
+    if (features.length === 1) {
+        geometria = features[0].geometry;
+    } else {
+        try {
+            geometria = turf.union(turf.featureCollection(features)).geometry;
+        } catch (error) {
+            // Si la unión falla por geometrías inválidas, se agrupan sin disolver
+            console.warn('⚠️ No se pudo disolver la división, se exporta sin unir:', error);
+            geometria = {
+                type: 'MultiPolygon',
+                coordinates: features.flatMap(feature =>
+                    feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates
+                )
+            };
+        }
+    }
+
+    dissolveCache.set(clave, geometria);
+    if (dissolveCache.size > maxDissolveCacheEntries) {
+        // Un Map itera en orden de inserción: la primera clave es la menos usada
+        dissolveCache.delete(dissolveCache.keys().next().value);
+    }
+    return geometria;
+}
+
+/**
+ * OBTIENE LA GEOMETRÍA DISUELTA DE UNA DIVISIÓN
+ * @param {number} grupoId - ID de la división
+ * @returns {Object|null} - Geometría Polygon/MultiPolygon o null si está vacía
+ */
+function dissolveDivision(grupoId) {
+    return dissolveFeatures(getDivisionFeatures(grupoId));
+}
+
+// =============================================
+// GRAFO DE ADYACENCIA ENTRE PARTIDOS
+// =============================================
+
+/**
+ * RECORRE TODOS LOS VÉRTICES DE UNA GEOMETRÍA POLYGON/MULTIPOLYGON
+ * @param {Object} geometria - Geometría GeoJSON
+ * @param {Function} callback - Recibe cada coordenada [lon, lat]
+ */
+function forEachVertex(geometria, callback) {
+    const poligonos = geometria.type === 'Polygon' ? [geometria.coordinates] : geometria.coordinates;
+    poligonos.forEach(poligono => poligono.forEach(anillo => anillo.forEach(callback)));
+}
+
+/**
+ * CONSTRUYE EL GRAFO DE ADYACENCIA A PARTIR DE LOS BORDES COMPARTIDOS
+ * Dos partidos son adyacentes si al menos dos vértices de uno están a una
+ * distancia menor o igual a la tolerancia del otro (un único punto de contacto,
+ * como una esquina, no alcanza). Con tolerancia casi nula solo cuentan los bordes
+ * realmente compartidos; una tolerancia mayor une islas del Delta o costas con
+ * huecos entre polígonos vecinos.
+ * @param {number} toleranciaKm - Distancia máxima entre vértices, en kilómetros
+ * @returns {Map} - cde → Set de códigos CDE adyacentes
+ */
+function buildAdjacencyGraph(toleranciaKm) {
+    const grafo = new Map();
+    allDepartments.forEach(dept => grafo.set(dept.properties.cde, new Set()));
+
+    // Proyección equirectangular local: coordenadas en km, válidas a escala provincial
+    const latitudMedia = geoJsonLayer.getBounds().getCenter().lat;
+    const kmPorGradoLat = 111.32;
+    const kmPorGradoLon = kmPorGradoLat * Math.cos(latitudMedia * Math.PI / 180);
+
+    // Grilla con celdas del tamaño de la tolerancia: solo se comparan celdas vecinas
+    const tolerancia = Math.max(toleranciaKm, 0.0001);
+    const grilla = new Map(); // "i,j" → Map(cde → [[x, y], ...])
+
+    allDepartments.forEach(dept => {
+        const cde = dept.properties.cde;
+        forEachVertex(dept.geometry, ([lon, lat]) => {
+            const x = lon * kmPorGradoLon;
+            const y = lat * kmPorGradoLat;
+            const clave = `${Math.floor(x / tolerancia)},${Math.floor(y / tolerancia)}`;
+
+            if (!grilla.has(clave)) grilla.set(clave, new Map());
+            const celda = grilla.get(clave);
+            if (!celda.has(cde)) celda.set(cde, []);
+            celda.get(cde).push([x, y]);
+        });
+    });
+
+    // "cdeA|cdeB" → vértices distintos de A cercanos a B
+    const contactos = new Map();
+
+    grilla.forEach((celda, clave) => {
+        const [i, j] = clave.split(',').map(Number);
+
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                const vecina = grilla.get(`${i + di},${j + dj}`);
+                if (!vecina) continue;
+
+                celda.forEach((puntosA, cdeA) => {
+                    vecina.forEach((puntosB, cdeB) => {
+                        if (cdeA >= cdeB || grafo.get(cdeA).has(cdeB)) return;
+
+                        const par = `${cdeA}|${cdeB}`;
+                        if (!contactos.has(par)) contactos.set(par, new Set());
+                        const vertices = contactos.get(par);
+
+                        puntosA.forEach(([xa, ya]) => {
+                            if (puntosB.some(([xb, yb]) => Math.hypot(xa - xb, ya - yb) <= tolerancia)) {
+                                vertices.add(`${xa},${ya}`);
+                            }
+                        });
+
+                        if (vertices.size >= 2) {
+                            grafo.get(cdeA).add(cdeB);
+                            grafo.get(cdeB).add(cdeA);
+                        }
+                    });
+                });
+            }
+        }
+    });
+
+    const aristas = Array.from(grafo.values()).reduce((total, vecinos) => total + vecinos.size, 0) / 2;
+    console.log(`🕸️ Grafo de adyacencia: ${grafo.size} partidos, ${aristas} bordes (tolerancia ${toleranciaKm} km)`);
+    return grafo;
+}
+
+/**
+ * OBTIENE EL GRAFO DE ADYACENCIA, CONSTRUYÉNDOLO LA PRIMERA VEZ
+ * @returns {Map} - cde → Set de códigos CDE adyacentes
+ */
+function getAdjacencyGraph() {
+    if (!adjacencyGraph) {
+        adjacencyGraph = buildAdjacencyGraph(contiguityToleranceKm);
+    }
+    return adjacencyGraph;
+}
+
+/**
+ * CAMBIA LA TOLERANCIA DE ADYACENCIA Y RECONSTRUYE EL GRAFO
+ * @param {number} toleranciaKm - Nueva tolerancia en kilómetros
+ */
+function setContiguityTolerance(toleranciaKm) {
+    contiguityToleranceKm = toleranciaKm;
+    adjacencyGraph = null;
+    notifyStateChange();
+}
+
+// =============================================
+// CONTIGÜIDAD DE DIVISIONES
+// =============================================
+
+/**
+ * SEPARA UN CONJUNTO DE PARTIDOS EN PIEZAS CONEXAS
+ * @param {Array<string>} codigos - Códigos CDE del conjunto
+ * @returns {Array<Array<string>>} - Piezas (listas de CDE), la más poblada primero
+ */
+function findConnectedPieces(codigos) {
+    const grafo = getAdjacencyGraph();
+    const pendientes = new Set(codigos);
+    const piezas = [];
+
+    codigos.forEach(inicio => {
+        if (!pendientes.has(inicio)) return;
+
+        // Recorrido en anchura restringido a los partidos del conjunto
+        const pieza = [];
+        const cola = [inicio];
+        pendientes.delete(inicio);
+        while (cola.length > 0) {
+            const actual = cola.shift();
+            pieza.push(actual);
+            (grafo.get(actual) || []).forEach(vecino => {
+                if (pendientes.has(vecino)) {
+                    pendientes.delete(vecino);
+                    cola.push(vecino);
+                }
+            });
+        }
+        piezas.push(pieza);
+    });
+
+    // La pieza principal es la de mayor población (o la más grande si no hay datos)
+    const peso = pieza => calcularTotalCodigos(pieza, 'poblacion_total') || pieza.length;
+    return piezas.sort((a, b) => peso(b) - peso(a));
+}
+
+/**
+ * RECALCULA LA CONTIGÜIDAD DE TODAS LAS DIVISIONES
+ * Marca como fragmentos los partidos que no están en la pieza principal de su división
+ * Se llama desde notifyStateChange() antes de actualizar mapa y tabla
+ */
+function updateContiguity() {
+    divisionContiguity = {};
+    fragmentDepartments.clear();
+    if (allDepartments.length === 0) return;
+
+    Object.keys(departmentGroups).forEach(groupId => {
+        const codigos = getDivisionFeatures(groupId).map(feature => feature.properties.cde);
+        const piezas = findConnectedPieces(codigos);
+        divisionContiguity[groupId] = piezas;
+
+        piezas.slice(1).forEach(pieza => {
+            pieza.forEach(cde => fragmentDepartments.add(getDepartmentNameByCode(cde)));
+        });
+    });
+}
+
+/**
+ * CANTIDAD DE PIEZAS CONEXAS DE UNA DIVISIÓN
+ * @param {number} grupoId - ID de la división
+ * @returns {number} - 0 si está vacía, 1 si es contigua
+ */
+function contarPiezasDivision(grupoId) {
+    const piezas = divisionContiguity[grupoId];
+    return piezas ? piezas.length : 0;
+}
+
+// =============================================
+// COMPACIDAD DE DIVISIONES
+// =============================================
+
+// Índices ya calculados, indexados por la geometría disuelta (que también se cachea)
+const compactnessCache = new WeakMap();
+
+/**
+ * CÍRCULO MÍNIMO QUE CONTIENE UN CONJUNTO DE PUNTOS (algoritmo de Welzl, iterativo)
+ * @param {Array<Array<number>>} puntos - Puntos [x, y] en coordenadas planas
+ * @returns {Object} - {x, y, r}
+ */
+function minimumEnclosingCircle(puntos) {
+    const contiene = (c, [x, y]) => Math.hypot(x - c.x, y - c.y) <= c.r * (1 + 1e-9);
+
+    const porDos = ([x1, y1], [x2, y2]) => ({
+        x: (x1 + x2) / 2,
+        y: (y1 + y2) / 2,
+        r: Math.hypot(x1 - x2, y1 - y2) / 2
+    });
+
+    const porTres = (a, b, c) => {
+        const [ax, ay] = a, [bx, by] = b, [cx, cy] = c;
+        const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+        if (Math.abs(d) < 1e-12) {
+            // Puntos alineados: alcanza con el círculo de los dos más alejados
+            return [porDos(a, b), porDos(a, c), porDos(b, c)].reduce((m, o) => o.r > m.r ? o : m);
+        }
+        const a2 = ax * ax + ay * ay, b2 = bx * bx + by * by, c2 = cx * cx + cy * cy;
+        const x = (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d;
+        const y = (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d;
+        return { x, y, r: Math.hypot(ax - x, ay - y) };
+    };
+
+    // El orden aleatorio da el tiempo esperado lineal
+    const p = puntos.slice();
+    for (let i = p.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [p[i], p[j]] = [p[j], p[i]];
+    }
+    let circulo = { x: p[0][0], y: p[0][1], r: 0 };
+
+    for (let i = 1; i < p.length; i++) {
+        if (contiene(circulo, p[i])) continue;
+        circulo = { x: p[i][0], y: p[i][1], r: 0 };
+        for (let j = 0; j < i; j++) {
+            if (contiene(circulo, p[j])) continue;
+            circulo = porDos(p[i], p[j]);
+            for (let k = 0; k < j; k++) {
+                if (!contiene(circulo, p[k])) circulo = porTres(p[i], p[j], p[k]);
+            }
+        }
+    }
+
+    return circulo;
+}
+
+/**
+ * CALCULA LOS ÍNDICES DE COMPACIDAD DE UNA GEOMETRÍA
+ * Todos valen 1 para un círculo y se acercan a 0 en formas alargadas o irregulares:
+ * - Polsby-Popper: 4π·área / perímetro²
+ * - Reock: área / área del círculo mínimo que la contiene
+ * - Envolvente convexa: área / área de la envolvente convexa
+ * @param {Object} geometria - Geometría Polygon/MultiPolygon
+ * @returns {Object} - {polsbyPopper, reock, envolvente}
+ */
+function calcularCompacidad(geometria) {
+    if (compactnessCache.has(geometria)) {
+        return compactnessCache.get(geometria);
+    }
+
+    const feature = turf.feature(geometria);
+    const area = turf.area(feature) / 1e6;      // km²
+    const perimetro = turf.length(feature);     // km, incluye los huecos
+    const envolvente = turf.convex(feature);
+
+    // El círculo mínimo se calcula en una proyección local en km sobre los vértices de la envolvente
+    const [lonCentro, latCentro] = turf.centroid(feature).geometry.coordinates;
+    const kmPorGradoLat = 111.32;
+    const kmPorGradoLon = kmPorGradoLat * Math.cos(latCentro * Math.PI / 180);
+    const vertices = envolvente.geometry.coordinates[0].map(([lon, lat]) => [
+        (lon - lonCentro) * kmPorGradoLon,
+        (lat - latCentro) * kmPorGradoLat
+    ]);
+    const circulo = minimumEnclosingCircle(vertices);
+
+    const indices = {
+        polsbyPopper: perimetro > 0 ? 4 * Math.PI * area / (perimetro * perimetro) : null,
+        reock: circulo.r > 0 ? area / (Math.PI * circulo.r * circulo.r) : null,
+        envolvente: area / (turf.area(envolvente) / 1e6)
+    };
+
+    compactnessCache.set(geometria, indices);
+    return indices;
+}
+
+/**
+ * ÍNDICES DE COMPACIDAD DE UNA DIVISIÓN
+ * @param {number} grupoId - ID de la división
+ * @returns {Object|null} - {polsbyPopper, reock, envolvente} o null si está vacía
+ */
+function obtenerCompacidadDivision(grupoId) {
+    const geometria = dissolveDivision(grupoId);
+    return geometria ? calcularCompacidad(geometria) : null;
+}
+
+// =============================================
+// DISTANCIAS A LA CABECERA
+// =============================================
+
+// Centroides de los partidos, indexados por su feature
+const centroidCache = new WeakMap();
+
+/**
+ * OBTIENE EL CENTROIDE DE UN PARTIDO
+ * @param {Object} dept - Feature del partido
+ * @returns {Object} - Punto GeoJSON
+ */
+function obtenerCentroidePartido(dept) {
+    if (!centroidCache.has(dept)) {
+        centroidCache.set(dept, turf.centroid(dept));
+    }
+    return centroidCache.get(dept);
+}
+
+/**
+ * CALCULA LAS DISTANCIAS DE LOS PARTIDOS DE UNA DIVISIÓN A SU CABECERA
+ * Se mide entre centroides; la media se pondera por la población de cada partido
+ * @param {Array<string>} codigos - Códigos CDE de los partidos de la división
+ * @param {string|null} cdeCabecera - Código CDE de la cabecera
+ * @returns {Object|null} - {maxima, mediaPonderada} en km, o null si no hay cabecera
+ */
+function calcularDistanciasCabecera(codigos, cdeCabecera) {
+    const cabecera = cdeCabecera ? getDepartmentByCode(cdeCabecera) : null;
+    if (!cabecera) return null;
+
+    const centroCabecera = obtenerCentroidePartido(cabecera);
+    let maxima = 0;
+    let sumaPonderada = 0;
+    let poblacionTotal = 0;
+
+    codigos.forEach(cde => {
+        const dept = getDepartmentByCode(cde);
+        if (!dept) return;
+
+        const distancia = turf.distance(obtenerCentroidePartido(dept), centroCabecera);
+        const poblacion = obtenerDatoPartido(cde, 'poblacion_total') || 0;
+        maxima = Math.max(maxima, distancia);
+        sumaPonderada += distancia * poblacion;
+        poblacionTotal += poblacion;
+    });
+
+    return {
+        maxima: maxima,
+        mediaPonderada: poblacionTotal > 0 ? sumaPonderada / poblacionTotal : null
+    };
+}
+
+/**
+ * ARMA LAS FILAS DE DISTANCIA A LA CABECERA PARA LA TABLA COMPARATIVA
+ * @param {Array<Array<string>>} listasCodigos - Códigos CDE de cada división
+ * @param {Array<string|null>} cabeceras - Código CDE de la cabecera de cada división
+ * @returns {Array<Object>} - Filas de distancia máxima y media ponderada
+ */
+function construirFilasCabecera(listasCodigos, cabeceras) {
+    const distancias = listasCodigos.map((codigos, index) => calcularDistanciasCabecera(codigos, cabeceras[index]));
+    const formatoKm = valor => valor === null || valor === undefined ? '-' : `${formatearNumero(Math.round(valor))} km`;
+
+    return [{
+        etiqueta: 'Distancia máxima a la cabecera',
+        valores: distancias.map(d => d && d.maxima),
+        formato: formatoKm,
+        descripcion: 'Distancia en línea recta entre el centroide de la cabecera y el del partido más alejado de la división.'
+    }, {
+        etiqueta: 'Distancia media a la cabecera',
+        valores: distancias.map(d => d && d.mediaPonderada),
+        formato: formatoKm,
+        descripcion: 'Promedio de las distancias entre centroides de cada partido y la cabecera, ponderado por población: la distancia que recorre en promedio un habitante de la división.'
+    }];
+}
@@ -0,0 +1,184 @@
+/*
+ * MÓDULO DE HISTORIAL - history.js
+ *
+ * Responsabilidades:
+ * - Registrar cada cambio del plan como una instantánea (deshacer/rehacer)
+ * - Agrupar en un solo paso las varias notificaciones de una misma acción
+ * - Botones de la barra de planes y atajos Ctrl+Z / Ctrl+Shift+Z
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Cantidad máxima de pasos que se pueden deshacer
+const maxHistorySteps = 100;
+
+// =============================================
+// REGISTRO DE CAMBIOS
+// =============================================
+
+/**
+ * CREA UNA INSTANTÁNEA DEL ESTADO ACTUAL
+ * @param {string} etiqueta - Descripción de la acción que llevó a este estado
+ * @returns {Object} - {plan, tipoRegion, etiqueta, clave}
+ */
+function createHistorySnapshot(etiqueta) {
+    const plan = getCurrentPlan();
+    return {
+        plan: plan,
+        tipoRegion: currentRegionType,
+        etiqueta: etiqueta,
+        // Representación comparable para descartar pasos sin cambios reales
+        clave: JSON.stringify([plan, currentRegionType])
+    };
+}
+
+/**
+ * DESCRIBE LA PRÓXIMA ACCIÓN QUE SE VA A REGISTRAR
+ * Si una acción llama a otras que también se describen, se conserva la primera
+ * (por ejemplo, cargar regiones existentes aplica un plan internamente)
+ * @param {string} etiqueta - Descripción para los botones de deshacer/rehacer
+ */
+function setHistoryLabel(etiqueta) {
+    if (!historySuspended && !pendingHistoryLabel) {
+        pendingHistoryLabel = etiqueta;
+        recordHistory(); // Si la acción no cambia nada, la descripción se descarta igual
+    }
+}
+
+/**
+ * PROGRAMA EL REGISTRO DEL ESTADO ACTUAL EN EL HISTORIAL
+ * Se llama desde notifyStateChange(); las notificaciones de una misma acción
+ * se agrupan en un único paso al terminar la ejecución en curso
+ */
+function recordHistory() {
+    if (historySuspended || !historyCurrent || historyCommitTimer) return;
+
+    historyCommitTimer = setTimeout(commitHistorySnapshot, 0);
+}
+
+/**
+ * GUARDA EL ESTADO ACTUAL COMO UN PASO DEL HISTORIAL
+ * Solo se registra si el plan cambió respecto del paso anterior
+ */
+function commitHistorySnapshot() {
+    clearTimeout(historyCommitTimer);
+    historyCommitTimer = null;
+
+    const snapshot = createHistorySnapshot(pendingHistoryLabel || 'Cambio en el plan');
+    pendingHistoryLabel = null;
+
+    if (snapshot.clave === historyCurrent.clave) return;
+
+    undoStack.push(historyCurrent);
+    if (undoStack.length > maxHistorySteps) {
+        undoStack.shift();
+    }
+    historyCurrent = snapshot;
+    redoStack = [];
+
+    updateHistoryButtons();
+}
+
+/**
+ * RESTAURA UNA INSTANTÁNEA SIN REGISTRARLA COMO CAMBIO NUEVO
+ * @param {Object} snapshot - Instantánea creada por createHistorySnapshot
+ */
+function restoreHistorySnapshot(snapshot) {
+    historySuspended = true;
+    try {
+        applyPlan(snapshot.plan);
+
+        // applyPlan sale del modo región existente; se recupera si correspondía
+        currentRegionType = snapshot.tipoRegion;
+        document.getElementById('existing-regions').value = snapshot.tipoRegion || '';
+    } finally {
+        historySuspended = false;
+    }
+
+    updateHistoryButtons();
+}
+
+// =============================================
+// DESHACER Y REHACER
+// =============================================
+
+/**
+ * DESHACE EL ÚLTIMO CAMBIO DEL PLAN
+ */
+function undoPlanChange() {
+    // Registrar primero un cambio que todavía estuviera pendiente
+    if (historyCommitTimer) commitHistorySnapshot();
+    if (undoStack.length === 0) return;
+
+    console.log(`↶ Deshacer: ${historyCurrent.etiqueta}`);
+    redoStack.push(historyCurrent);
+    historyCurrent = undoStack.pop();
+    restoreHistorySnapshot(historyCurrent);
+}
+
+/**
+ * REHACE EL ÚLTIMO CAMBIO DESHECHO
+ */
+function redoPlanChange() {
+    if (historyCommitTimer) commitHistorySnapshot();
+    if (redoStack.length === 0) return;
+
+    undoStack.push(historyCurrent);
+    historyCurrent = redoStack.pop();
+    console.log(`↷ Rehacer: ${historyCurrent.etiqueta}`);
+    restoreHistorySnapshot(historyCurrent);
+}
+
+/**
+ * ACTUALIZA EL ESTADO Y LA DESCRIPCIÓN DE LOS BOTONES DE HISTORIAL
+ */
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    undoBtn.disabled = undoStack.length === 0;
+    undoBtn.title = undoStack.length > 0 ? `Deshacer: ${historyCurrent.etiqueta} (Ctrl+Z)` : 'Nada para deshacer';
+
+    redoBtn.disabled = redoStack.length === 0;
+    redoBtn.title = redoStack.length > 0
+        ? `Rehacer: ${redoStack[redoStack.length - 1].etiqueta} (Ctrl+Shift+Z)`
+        : 'Nada para rehacer';
+}
+
+/**
+ * ATAJOS DE TECLADO: Ctrl+Z deshace, Ctrl+Shift+Z (o Ctrl+Y) rehace
+ * No interfiere con la edición de texto (nombres de división, selectores)
+ */
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoPlanChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoPlanChange();
+    }
+}
+
+/**
+ * CONFIGURA EL HISTORIAL A PARTIR DEL ESTADO ACTUAL
+ * Se llama al final de la inicialización (luego de restaurar una sesión)
+ */
+function setupHistory() {
+    // Lo aplicado antes (por ejemplo, la sesión restaurada) forma parte del estado inicial
+    pendingHistoryLabel = null;
+    historyCurrent = createHistorySnapshot('Estado inicial');
+
+    document.getElementById('undo-btn').addEventListener('click', undoPlanChange);
+    document.getElementById('redo-btn').addEventListener('click', redoPlanChange);
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    updateHistoryButtons();
+}
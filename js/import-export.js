@@ -0,0 +1,814 @@
+/*
+ * MÓDULO DE IMPORTACIÓN Y EXPORTACIÓN - import-export.js
+ *
+ * Responsabilidades:
+ * - Exportar el plan actual como JSON con el formato de regiones_existentes.json
+ * - Importar planes en ese formato, validándolos antes de aplicarlos
+ * - Importar asignaciones desde CSV con revisión de nombres dudosos
+ * - Exportar los límites disueltos de cada división en GeoJSON
+ * - Exportar la tabla comparativa (CSV) y un informe HTML imprimible
+ * - Utilidades de descarga y lectura de archivos
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Versión del formato de archivo de planes (igual a regiones_existentes.json)
+const planFileVersion = '1.0';
+
+// =============================================
+// UTILIDADES DE ARCHIVOS
+// =============================================
+
+/**
+ * DESCARGA UN CONTENIDO COMO ARCHIVO
+ * @param {string} contenido - Contenido del archivo
+ * @param {string} nombreArchivo - Nombre sugerido para la descarga
+ * @param {string} tipoMime - Tipo MIME del contenido
+ */
+function downloadFile(contenido, nombreArchivo, tipoMime) {
+    const blob = new Blob([contenido], { type: tipoMime });
+    const url = URL.createObjectURL(blob);
+
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombreArchivo;
+    document.body.appendChild(enlace);
+    enlace.click();
+    enlace.remove();
+
+    // Liberar la URL cuando el navegador ya inició la descarga
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * ARMA UN NOMBRE DE ARCHIVO CON LA FECHA DEL DÍA
+ * @param {string} base - Prefijo del nombre (ej. 'plan_division_pba')
+ * @param {string} extension - Extensión sin punto
+ * @returns {string} - Nombre del tipo 'base_AAAA-MM-DD.extension'
+ */
+function datedFileName(base, extension) {
+    return `${base}_${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * CONFIGURA UN BOTÓN QUE ABRE UN SELECTOR DE ARCHIVOS
+ * @param {string} buttonId - ID del botón visible
+ * @param {string} inputId - ID del input[type=file] oculto
+ * @param {Function} onText - Recibe (texto, nombreArchivo) al leer el archivo
+ */
+function setupFileInput(buttonId, inputId, onText) {
+    const input = document.getElementById(inputId);
+
+    document.getElementById(buttonId).addEventListener('click', () => input.click());
+
+    input.addEventListener('change', function() {
+        const file = this.files[0];
+        if (!file) return;
+
+        file.text()
+            .then(texto => onText(texto, file.name))
+            .catch(error => {
+                console.error('❌ Error leyendo el archivo:', error);
+                alert('No se pudo leer el archivo. Verifica la consola para más detalles.');
+            })
+            .finally(() => {
+                // Permitir volver a elegir el mismo archivo
+                this.value = '';
+            });
+    });
+}
+
+/**
+ * FORMATEA UNA LISTA DE ERRORES PARA MOSTRAR EN UN alert()
+ * Recorta la lista para que el cuadro de diálogo no exceda la pantalla
+ * @param {Array<string>} errores - Mensajes de error
+ * @param {number} maximo - Cantidad máxima de líneas a mostrar
+ * @returns {string} - Lista con viñetas
+ */
+function formatErrorList(errores, maximo = 20) {
+    const lineas = errores.slice(0, maximo).map(error => `- ${error}`);
+    if (errores.length > maximo) {
+        lineas.push(`... y ${errores.length - maximo} más (ver consola)`);
+        console.warn('⚠️ Lista completa de errores:', errores);
+    }
+    return lineas.join('\n');
+}
+
+// =============================================
+// EXPORTACIÓN DE PLANES EN JSON
+// =============================================
+
+/**
+ * ARMA EL JSON DEL PLAN ACTUAL CON EL FORMATO DE regiones_existentes.json
+ * metadata + nombre de región → [{cde, municipio_nombre}]
+ * @returns {Object} - Contenido del archivo
+ */
+function buildPlanFile() {
+    const plan = getCurrentPlan();
+    const archivo = {
+        metadata: {
+            ultima_actualizacion: new Date().toISOString().slice(0, 10),
+            fuente: 'Plan elaborado con el mapa interactivo',
+            elaboracion: 'Datos procesados para mapa interactivo de división provincial',
+            version_estructura: planFileVersion,
+            colores: {},
+            cabeceras: {}
+        }
+    };
+
+    plan.divisiones.forEach((division, index) => {
+        // Las claves del JSON deben ser únicas y no pisar 'metadata'
+        const base = division.nombre.trim() || `División ${index + 1}`;
+        let nombre = base;
+        let sufijo = 2;
+        while (archivo[nombre] || nombre === 'metadata') {
+            nombre = `${base} (${sufijo++})`;
+        }
+
+        archivo.metadata.colores[nombre] = division.color;
+        if (division.cabecera) archivo.metadata.cabeceras[nombre] = division.cabecera;
+        archivo[nombre] = division.cdes.map(cde => ({
+            cde: cde,
+            municipio_nombre: getDepartmentNameByCode(cde)
+        }));
+    });
+
+    return archivo;
+}
+
+/**
+ * DESCARGA EL PLAN ACTUAL COMO ARCHIVO JSON
+ */
+function exportPlanJSON() {
+    const contenido = JSON.stringify(buildPlanFile(), null, 2);
+    downloadFile(contenido, datedFileName('plan_division_pba', 'json'), 'application/json');
+    console.log('📤 Plan exportado en JSON');
+}
+
+// =============================================
+// IMPORTACIÓN DE PLANES EN JSON
+// =============================================
+
+/**
+ * OBTIENE EL CONJUNTO DE REGIONES DE UN ARCHIVO IMPORTADO
+ * Acepta un plan exportado (regiones en el primer nivel) o un archivo
+ * como regiones_existentes.json (varios conjuntos de regiones por tipo)
+ * @param {Object} archivo - JSON leído
+ * @returns {Object|null} - {nombreRegion: [...]} o null si se canceló la elección
+ * @throws {Error} - Si la estructura no es reconocible
+ */
+function extractRegionsFromFile(archivo) {
+    if (!archivo || typeof archivo !== 'object' || Array.isArray(archivo)) {
+        throw new Error('El archivo no contiene un objeto JSON');
+    }
+
+    const claves = Object.keys(archivo).filter(clave => clave !== 'metadata');
+    if (claves.length === 0) {
+        throw new Error('El archivo no contiene regiones');
+    }
+
+    // Formato de plan: cada clave es una región con su lista de partidos
+    if (claves.every(clave => Array.isArray(archivo[clave]))) {
+        const regiones = {};
+        claves.forEach(clave => {
+            regiones[clave] = archivo[clave];
+        });
+        return regiones;
+    }
+
+    // Formato de regiones_existentes.json: cada clave es un tipo de región
+    const tipos = claves.filter(clave => archivo[clave] && typeof archivo[clave] === 'object' && !Array.isArray(archivo[clave]));
+    if (tipos.length !== claves.length) {
+        throw new Error('El archivo mezcla listas de partidos con otros valores');
+    }
+
+    if (tipos.length === 1) {
+        return archivo[tipos[0]];
+    }
+
+    const elegido = prompt(`El archivo contiene varios conjuntos de regiones:\n${tipos.join('\n')}\n\n¿Cuál desea importar?`, tipos[0]);
+    if (elegido === null) return null;
+    if (!archivo[elegido.trim()]) {
+        throw new Error(`No existe el conjunto de regiones "${elegido}"`);
+    }
+    return archivo[elegido.trim()];
+}
+
+/**
+ * VALIDA LA ESTRUCTURA Y EL CONTENIDO DE UN ARCHIVO DE PLAN
+ * @param {Object} archivo - JSON leído
+ * @param {Object} regiones - Regiones extraídas del archivo
+ * @returns {Array<string>} - Lista de errores (vacía si se puede importar)
+ */
+function validatePlanFile(archivo, regiones) {
+    const errores = [];
+
+    const version = archivo.metadata && archivo.metadata.version_estructura;
+    if (version && String(version).split('.')[0] !== planFileVersion.split('.')[0]) {
+        errores.push(`Versión de estructura no soportada: ${version} (se esperaba ${planFileVersion})`);
+    }
+
+    Object.keys(regiones).forEach(nombreRegion => {
+        const partidos = regiones[nombreRegion];
+        if (!Array.isArray(partidos)) {
+            errores.push(`La región "${nombreRegion}" no contiene una lista de partidos`);
+            return;
+        }
+        partidos.forEach((depto, index) => {
+            if (!depto || typeof depto.cde !== 'string') {
+                errores.push(`La región "${nombreRegion}" tiene un partido sin código CDE (posición ${index + 1})`);
+            }
+        });
+    });
+
+    // Con la estructura correcta se validan códigos, repeticiones y cantidad de divisiones
+    if (errores.length === 0) {
+        const nombresRegiones = Object.keys(regiones);
+        const colores = (archivo.metadata && archivo.metadata.colores) || {};
+        errores.push(...validatePlan(regionsToPlan(regiones, nombresRegiones, colores)));
+    }
+
+    return errores;
+}
+
+/**
+ * IMPORTA UN PLAN DESDE EL TEXTO DE UN ARCHIVO JSON
+ * Lista todos los errores encontrados antes de aplicar cualquier cambio
+ * @param {string} texto - Contenido del archivo
+ * @param {string} nombreArchivo - Nombre del archivo (para los mensajes)
+ */
+function importPlanJSON(texto, nombreArchivo) {
+    let archivo;
+    let regiones;
+    try {
+        archivo = JSON.parse(texto);
+        regiones = extractRegionsFromFile(archivo);
+    } catch (error) {
+        console.error('❌ Archivo de plan inválido:', error);
+        alert(`No se pudo importar "${nombreArchivo}":\n${error.message}`);
+        return;
+    }
+    if (!regiones) return;
+
+    const errores = validatePlanFile(archivo, regiones);
+    if (errores.length > 0) {
+        alert(`No se importó "${nombreArchivo}". Se encontraron ${errores.length} problemas:\n${formatErrorList(errores)}`);
+        return;
+    }
+
+    const colores = (archivo.metadata && archivo.metadata.colores) || {};
+    const cabeceras = (archivo.metadata && archivo.metadata.cabeceras) || {};
+    const plan = regionsToPlan(regiones, Object.keys(regiones), colores);
+    plan.divisiones.forEach(division => { division.cabecera = cabeceras[division.nombre] || null; });
+
+    setHistoryLabel(`Importar ${nombreArchivo}`);
+    applyPlan(plan);
+    console.log(`📥 Plan importado desde ${nombreArchivo}`);
+}
+
+// =============================================
+// IMPORTACIÓN DE ASIGNACIONES DESDE CSV
+// =============================================
+
+// Nombres de columna aceptados (ya normalizados con normalizarNombre)
+const csvColumnasCde = ['cde', 'codigo', 'codigo cde', 'cod', 'in1'];
+const csvColumnasPartido = ['partido', 'nombre', 'municipio', 'municipio nombre', 'departamento', 'nam'];
+const csvColumnasDivision = ['division', 'region', 'seccion', 'grupo', 'provincia'];
+
+/**
+ * PARSEA UN TEXTO CSV
+ * Detecta el separador (',', ';' o tabulación) y respeta campos entre comillas
+ * @param {string} texto - Contenido del archivo
+ * @returns {Array<Array<string>>} - Filas con sus campos
+ */
+function parseCSV(texto) {
+    const contenido = texto.replace(/^\uFEFF/, '');
+    const primeraLinea = contenido.split(/\r?\n/)[0];
+    const separador = [';', '\t', ','].reduce((mejor, candidato) =>
+        primeraLinea.split(candidato).length > primeraLinea.split(mejor).length ? candidato : mejor
+    , ',');
+
+    const filas = [];
+    let fila = [];
+    let campo = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < contenido.length; i++) {
+        const caracter = contenido[i];
+
+        if (entreComillas) {
+            if (caracter === '"' && contenido[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (caracter === '"') {
+                entreComillas = false;
+            } else {
+                campo += caracter;
+            }
+        } else if (caracter === '"') {
+            entreComillas = true;
+        } else if (caracter === separador) {
+            fila.push(campo);
+            campo = '';
+        } else if (caracter === '\n' || caracter === '\r') {
+            if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+            fila.push(campo);
+            filas.push(fila);
+            fila = [];
+            campo = '';
+        } else {
+            campo += caracter;
+        }
+    }
+
+    if (campo || fila.length > 0) {
+        fila.push(campo);
+        filas.push(fila);
+    }
+
+    // Descartar filas vacías
+    return filas.filter(campos => campos.some(valor => valor.trim() !== ''));
+}
+
+/**
+ * UBICA LAS COLUMNAS DE CÓDIGO, NOMBRE Y DIVISIÓN EN EL ENCABEZADO
+ * @param {Array<string>} encabezado - Primera fila del CSV
+ * @returns {Object} - {cde, partido, division} con el índice de cada columna (-1 si falta)
+ */
+function findCSVColumns(encabezado) {
+    const normalizados = encabezado.map(normalizarNombre);
+    const buscar = opciones => normalizados.findIndex(nombre => opciones.includes(nombre));
+
+    return {
+        cde: buscar(csvColumnasCde),
+        partido: buscar(csvColumnasPartido),
+        division: buscar(csvColumnasDivision)
+    };
+}
+
+/**
+ * RESUELVE CADA FILA DEL CSV A UN PARTIDO
+ * @param {Array<Array<string>>} filas - Filas sin el encabezado
+ * @param {Object} columnas - Índices devueltos por findCSVColumns
+ * @returns {Array<Object>} - [{fila, valor, division, estado, candidatos, cde}]
+ */
+function matchCSVRows(filas, columnas) {
+    return filas.map((campos, index) => {
+        const division = (campos[columnas.division] || '').trim();
+        const codigo = columnas.cde >= 0 ? (campos[columnas.cde] || '').trim() : '';
+        const nombre = columnas.partido >= 0 ? (campos[columnas.partido] || '').trim() : '';
+        const resultado = {
+            fila: index + 2, // +1 por el encabezado y +1 porque las planillas cuentan desde 1
+            valor: nombre || codigo,
+            division: division,
+            estado: 'sin_coincidencia',
+            candidatos: [],
+            cde: null
+        };
+
+        // Las planillas suelen perder el cero inicial del código ('6028' → '06028')
+        if (/^\d+$/.test(codigo)) {
+            const dept = getDepartmentByCode(codigo.padStart(5, '0'));
+            if (dept) {
+                resultado.estado = 'exacto';
+                resultado.cde = dept.properties.cde;
+                resultado.valor = dept.properties.nam;
+                return resultado;
+            }
+        }
+
+        if (nombre) {
+            const busqueda = buscarPartidosPorNombre(nombre);
+            resultado.estado = busqueda.estado;
+            resultado.candidatos = busqueda.candidatos;
+            if (busqueda.estado === 'exacto' || busqueda.estado === 'variante') {
+                resultado.cde = busqueda.candidatos[0].properties.cde;
+            }
+        }
+
+        return resultado;
+    });
+}
+
+/**
+ * ARMA EL SELECTOR DE PARTIDO PARA UNA FILA A REVISAR
+ * Las sugerencias aparecen primero; luego todos los partidos
+ * @param {Object} resultado - Fila devuelta por matchCSVRows
+ * @returns {HTMLSelectElement} - Selector con la opción sugerida elegida
+ */
+function buildReviewSelect(resultado) {
+    const select = document.createElement('select');
+    select.innerHTML = '<option value="">— Ignorar fila —</option>';
+
+    const agregarGrupo = (etiqueta, departamentos) => {
+        const grupo = document.createElement('optgroup');
+        grupo.label = etiqueta;
+        departamentos.forEach(dept => {
+            const option = document.createElement('option');
+            option.value = dept.properties.cde;
+            option.textContent = dept.properties.nam;
+            grupo.appendChild(option);
+        });
+        select.appendChild(grupo);
+    };
+
+    if (resultado.candidatos.length > 0) {
+        agregarGrupo('Sugerencias', resultado.candidatos.slice(0, 10));
+    }
+    agregarGrupo('Todos los partidos', allDepartments);
+
+    // Una única sugerencia aproximada se preselecciona para que el usuario la confirme
+    if (resultado.estado === 'aproximado') {
+        select.value = resultado.candidatos[0].properties.cde;
+    }
+
+    return select;
+}
+
+/**
+ * MUESTRA EL DIÁLOGO DE REVISIÓN DE FILAS NO RESUELTAS
+ * @param {Array<Object>} pendientes - Filas sin partido o con varias opciones
+ * @param {Array<string>} avisos - Filas descartadas (ej. sin división)
+ * @param {Function} onConfirm - Se llama cuando el usuario confirma la revisión
+ */
+function showCSVReviewDialog(pendientes, avisos, onConfirm) {
+    const etiquetasEstado = {
+        sin_coincidencia: 'Sin coincidencia',
+        ambiguo: 'Ambiguo',
+        aproximado: 'Aproximado'
+    };
+
+    const contenido = document.createElement('div');
+    contenido.innerHTML = `
+        <p>${pendientes.length} filas necesitan revisión. Elija el partido correspondiente o ignore la fila.</p>
+        <table>
+            <thead>
+                <tr><th>Fila</th><th>Valor en el CSV</th><th>División</th><th>Estado</th><th>Partido</th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+
+    const tbody = contenido.querySelector('tbody');
+    const selectores = pendientes.map(resultado => {
+        const tr = document.createElement('tr');
+        [resultado.fila, resultado.valor, resultado.division, etiquetasEstado[resultado.estado]].forEach(texto => {
+            const td = document.createElement('td');
+            td.textContent = texto;
+            tr.appendChild(td);
+        });
+
+        const celdaSelector = document.createElement('td');
+        const select = buildReviewSelect(resultado);
+        celdaSelector.appendChild(select);
+        tr.appendChild(celdaSelector);
+        tbody.appendChild(tr);
+
+        return select;
+    });
+
+    if (avisos.length > 0) {
+        const nota = document.createElement('p');
+        nota.textContent = `Filas descartadas: ${avisos.join('; ')}`;
+        contenido.appendChild(nota);
+    }
+
+    openModal('Revisión de la importación CSV', contenido, [
+        { texto: 'Cancelar' },
+        {
+            texto: 'Aplicar plan',
+            clase: 'primary',
+            accion: () => {
+                pendientes.forEach((resultado, index) => {
+                    resultado.cde = selectores[index].value || null;
+                });
+                onConfirm();
+            }
+        }
+    ]);
+}
+
+/**
+ * APLICA LAS FILAS RESUELTAS DEL CSV COMO PLAN
+ * Las divisiones se crean en el orden en que aparecen en el archivo
+ * @param {Array<Object>} resultados - Filas con su cde resuelto (o null si se ignoran)
+ */
+function applyCSVAssignments(resultados) {
+    const regiones = {};
+    resultados.forEach(resultado => {
+        if (!resultado.cde || !resultado.division) return;
+        if (!regiones[resultado.division]) {
+            regiones[resultado.division] = [];
+        }
+        regiones[resultado.division].push({
+            cde: resultado.cde,
+            municipio_nombre: getDepartmentNameByCode(resultado.cde)
+        });
+    });
+
+    const nombresRegiones = Object.keys(regiones);
+    if (nombresRegiones.length === 0) {
+        alert('No quedaron filas para importar');
+        return;
+    }
+
+    const errores = validatePlan(regionsToPlan(regiones, nombresRegiones));
+    if (errores.length > 0) {
+        alert(`No se aplicó el CSV. Se encontraron ${errores.length} problemas:\n${formatErrorList(errores)}`);
+        return;
+    }
+
+    setHistoryLabel('Importar CSV');
+    applyRegions(regiones, nombresRegiones);
+    console.log(`📥 CSV aplicado: ${nombresRegiones.length} divisiones`);
+}
+
+/**
+ * IMPORTA ASIGNACIONES DE PARTIDOS A DIVISIONES DESDE UN CSV
+ * Requiere una columna de división y otra de código CDE o nombre de partido
+ * @param {string} texto - Contenido del archivo
+ * @param {string} nombreArchivo - Nombre del archivo (para los mensajes)
+ */
+function importAssignmentsCSV(texto, nombreArchivo) {
+    const filas = parseCSV(texto);
+    if (filas.length < 2) {
+        alert(`"${nombreArchivo}" no tiene filas de datos`);
+        return;
+    }
+
+    const columnas = findCSVColumns(filas[0]);
+    if (columnas.division < 0 || (columnas.cde < 0 && columnas.partido < 0)) {
+        alert(`No se reconocieron las columnas de "${nombreArchivo}".\n` +
+            'Se necesita una columna "division" y otra "cde" o "partido".');
+        return;
+    }
+
+    const resultados = matchCSVRows(filas.slice(1), columnas);
+
+    // Filas sin división: se informan y se descartan
+    const avisos = resultados
+        .filter(resultado => !resultado.division)
+        .map(resultado => `fila ${resultado.fila} sin división`);
+    const conDivision = resultados.filter(resultado => resultado.division);
+
+    const pendientes = conDivision.filter(resultado => !resultado.cde || resultado.estado === 'aproximado');
+    if (pendientes.length === 0) {
+        if (avisos.length > 0) {
+            alert(`Filas descartadas:\n${formatErrorList(avisos)}`);
+        }
+        applyCSVAssignments(conDivision);
+        return;
+    }
+
+    showCSVReviewDialog(pendientes, avisos, () => applyCSVAssignments(conDivision));
+}
+
+// =============================================
+// EXPORTACIÓN DE LÍMITES DE DIVISIONES (GeoJSON)
+// =============================================
+
+/**
+ * ARMA UNA FeatureCollection CON UNA GEOMETRÍA DISUELTA POR DIVISIÓN
+ * Las propiedades son planas (sin objetos anidados) para que QGIS las lea como columnas
+ * @returns {Object} - FeatureCollection GeoJSON en WGS84
+ */
+function buildDivisionsGeoJSON() {
+    const features = [];
+
+    for (let i = 1; i <= currentDivisionCount; i++) {
+        const geometria = dissolveDivision(i);
+        if (!geometria) continue; // Las divisiones vacías no tienen geometría
+
+        const group = departmentGroups[i];
+        const cdes = getDivisionFeatures(i).map(feature => feature.properties.cde);
+
+        features.push({
+            type: 'Feature',
+            properties: Object.assign({
+                division: group.name,
+                color: group.color,
+                partidos_cde: cdes.join(',')
+            }, obtenerTotalesDivision(i)),
+            geometry: geometria
+        });
+    }
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * DESCARGA LOS LÍMITES DISUELTOS DE LAS DIVISIONES COMO GeoJSON
+ */
+function exportDivisionsGeoJSON() {
+    const coleccion = buildDivisionsGeoJSON();
+    if (coleccion.features.length === 0) {
+        alert('No hay divisiones con partidos asignados para exportar');
+        return;
+    }
+
+    downloadFile(JSON.stringify(coleccion), datedFileName('divisiones_pba', 'geojson'), 'application/geo+json');
+    console.log(`📤 GeoJSON exportado: ${coleccion.features.length} divisiones`);
+}
+
+// =============================================
+// EXPORTACIÓN DE LA TABLA COMPARATIVA E INFORME
+// =============================================
+
+/**
+ * ESCAPA UN CAMPO PARA CSV
+ * @param {*} valor - Valor de la celda
+ * @returns {string} - Campo entre comillas si contiene separadores o comillas
+ */
+function escapeCSVField(valor) {
+    const texto = valor === null || valor === undefined ? '' : String(valor);
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * ESCAPA UN TEXTO PARA INSERTARLO EN HTML
+ * @param {*} texto - Texto a escapar
+ * @returns {string} - Texto seguro para HTML
+ */
+function escapeHTML(texto) {
+    return String(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * DESCARGA LA TABLA COMPARATIVA COMO CSV
+ * Los valores se exportan como números (sin los puntos de formatearNumero)
+ */
+function exportComparisonCSV() {
+    const nombres = [];
+    for (let i = 1; i <= currentDivisionCount; i++) {
+        nombres.push(departmentGroups[i] ? departmentGroups[i].name : `División ${i}`);
+    }
+
+    const lineas = [['Variable', ...nombres]];
+    getComparisonRows().forEach(fila => {
+        lineas.push([fila.etiqueta, ...fila.valores]);
+    });
+
+    // BOM inicial para que Excel reconozca los acentos en UTF-8
+    const contenido = '\uFEFF' + lineas.map(campos => campos.map(escapeCSVField).join(',')).join('\r\n');
+    downloadFile(contenido, datedFileName('comparacion_divisiones', 'csv'), 'text/csv;charset=utf-8');
+    console.log('📤 Tabla comparativa exportada en CSV');
+}
+
+/**
+ * DIBUJA EL PLAN ACTUAL COMO SVG AUTOCONTENIDO
+ * Usa una proyección equirectangular ajustada a la latitud media de la provincia
+ * @param {number} ancho - Ancho del dibujo en píxeles
+ * @returns {string} - Marcado SVG
+ */
+function renderPlanSVG(ancho) {
+    const limites = geoJsonLayer.getBounds();
+    const factorLongitud = Math.cos(limites.getCenter().lat * Math.PI / 180);
+    const escala = ancho / ((limites.getEast() - limites.getWest()) * factorLongitud);
+    const alto = Math.ceil((limites.getNorth() - limites.getSouth()) * escala);
+
+    const proyectar = ([lon, lat]) => [
+        (lon - limites.getWest()) * factorLongitud * escala,
+        (limites.getNorth() - lat) * escala
+    ];
+
+    // Cada anillo se simplifica descartando puntos a menos de medio píxel del anterior
+    const anilloAPath = anillo => {
+        let anterior = null;
+        const puntos = [];
+        anillo.forEach(coordenada => {
+            const punto = proyectar(coordenada);
+            if (!anterior || Math.abs(punto[0] - anterior[0]) + Math.abs(punto[1] - anterior[1]) >= 0.5) {
+                puntos.push(`${punto[0].toFixed(1)} ${punto[1].toFixed(1)}`);
+                anterior = punto;
+            }
+        });
+        return `M${puntos.join('L')}Z`;
+    };
+
+    const paths = allDepartments.map(feature => {
+        const poligonos = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        const d = poligonos.map(poligono => poligono.map(anilloAPath).join('')).join('');
+        const groupId = getDepartmentGroupId(feature.properties.nam);
+        const relleno = groupId ? departmentGroups[groupId].color : '#ffffff';
+        return `<path d="${d}" fill="${relleno}" fill-rule="evenodd" stroke="#2c3e50" stroke-width="0.4"><title>${escapeHTML(feature.properties.nam)}</title></path>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${ancho} ${alto}" width="${ancho}" height="${alto}">${paths.join('')}</svg>`;
+}
+
+/**
+ * ARMA EL HTML DEL INFORME IMPRIMIBLE
+ * Incluye mapa, tabla comparativa, partidos por división y fuentes de datos
+ * @returns {string} - Documento HTML completo
+ */
+function buildPlanReport() {
+    const fecha = new Date().toLocaleString('es-AR');
+    const grupos = Array.from({length: currentDivisionCount}, (_, i) => i + 1);
+
+    const leyenda = grupos.map(i => `
+        <li><span class="muestra" style="background:${departmentGroups[i].color}"></span>${escapeHTML(departmentGroups[i].name)}</li>`).join('');
+
+    const encabezados = grupos.map(i => `
+        <th style="background:${departmentGroups[i].color};color:${getContrastColor(departmentGroups[i].color)}">${escapeHTML(departmentGroups[i].name)}</th>`).join('');
+
+    const filas = getComparisonRows().map(fila => `
+        <tr><td>${escapeHTML(fila.etiqueta)}</td>${fila.valores.map(valor => `<td>${escapeHTML(fila.formato(valor))}</td>`).join('')}</tr>`).join('');
+
+    const partidosPorDivision = grupos.map(i => {
+        const nombres = departmentGroups[i].departments.slice().sort((a, b) => a.localeCompare(b));
+        return `
+        <section class="division">
+            <h3 style="border-color:${departmentGroups[i].color}">${escapeHTML(departmentGroups[i].name)} (${nombres.length})</h3>
+            <p>${nombres.length > 0 ? nombres.map(escapeHTML).join(', ') : '<em>Sin partidos asignados</em>'}</p>
+        </section>`;
+    }).join('');
+
+    // Fuentes tomadas de la metadata de datos_partidos.json
+    const metadata = (partidosData && partidosData.metadata) || {};
+    const fuentes = (metadata.fuentes_principales || []).map(fuente => `<li>${escapeHTML(fuente)}</li>`).join('');
+    const actualizacion = metadata.ultima_actualizacion ? `<p>Última actualización de los datos: ${escapeHTML(metadata.ultima_actualizacion)}</p>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>Informe de división - Provincia de Buenos Aires</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; margin: 30px; line-height: 1.5; }
+        h1 { color: #2c3e50; font-size: 1.6rem; }
+        h2 { color: #34495e; font-size: 1.2rem; margin-top: 30px; border-bottom: 2px solid #e9ecef; padding-bottom: 4px; }
+        h3 { font-size: 1rem; border-left: 4px solid; padding-left: 8px; margin-bottom: 4px; }
+        .fecha { color: #6c757d; }
+        .mapa { display: flex; gap: 25px; align-items: flex-start; }
+        .mapa svg { max-width: 100%; height: auto; border: 1px solid #e9ecef; }
+        .leyenda { list-style: none; padding: 0; font-size: 13px; }
+        .muestra { display: inline-block; width: 14px; height: 14px; margin-right: 6px; vertical-align: middle; border: 1px solid #2c3e50; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { border: 1px solid #e9ecef; padding: 6px 10px; text-align: center; }
+        td:first-child { text-align: left; font-weight: 600; background: #f8f9fa; }
+        .division p { margin-top: 0; font-size: 13px; }
+        .imprimir { float: right; padding: 8px 16px; cursor: pointer; }
+        @media print {
+            .imprimir { display: none; }
+            body { margin: 10mm; }
+            section, table { page-break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <button class="imprimir" onclick="window.print()">Imprimir</button>
+    <h1>Informe de división de la Provincia de Buenos Aires</h1>
+    <p class="fecha">Generado el ${escapeHTML(fecha)}</p>
+
+    <h2>Mapa</h2>
+    <div class="mapa">
+        ${renderPlanSVG(600)}
+        <ul class="leyenda">${leyenda}
+            <li><span class="muestra" style="background:#ffffff"></span>Sin asignar</li>
+        </ul>
+    </div>
+
+    <h2>Comparación entre divisiones</h2>
+    <table>
+        <thead><tr><th>Variable</th>${encabezados}</tr></thead>
+        <tbody>${filas}</tbody>
+    </table>
+
+    <h2>Partidos por división</h2>${partidosPorDivision}
+
+    <h2>Fuentes de datos</h2>
+    <ul>${fuentes}</ul>
+    ${actualizacion}
+</body>
+</html>`;
+}
+
+/**
+ * DESCARGA EL INFORME IMPRIMIBLE DEL PLAN ACTUAL
+ */
+function exportPlanReport() {
+    downloadFile(buildPlanReport(), datedFileName('informe_division_pba', 'html'), 'text/html;charset=utf-8');
+    console.log('📤 Informe HTML exportado');
+}
+
+// =============================================
+// CONFIGURACIÓN DE CONTROLES
+// =============================================
+
+/**
+ * CONFIGURA LOS BOTONES DE IMPORTACIÓN Y EXPORTACIÓN
+ */
+function setupImportExport() {
+    document.getElementById('export-json-btn').addEventListener('click', exportPlanJSON);
+    document.getElementById('export-geojson-btn').addEventListener('click', exportDivisionsGeoJSON);
+    document.getElementById('export-table-csv-btn').addEventListener('click', exportComparisonCSV);
+    document.getElementById('export-report-btn').addEventListener('click', exportPlanReport);
+    setupFileInput('import-json-btn', 'import-json-input', importPlanJSON);
+    setupFileInput('import-csv-btn', 'import-csv-input', importAssignmentsCSV);
+}
@@ -30,12 +30,69 @@ let currentRegionType = null; // 'secciones_electorales' o 'regiones_sanitarias'
 
 // Sistema de selección por polígono
 let polygonMode = false;    // ¿Estamos en modo dibujo de polígono?
+let selectionTool = 'poligono'; // Herramienta activa: 'poligono', 'rectangulo', 'circulo' o 'lazo'
+let selectionRadiusKm = 20; // Radio de la herramienta círculo
 let polygonPoints = [];     // Puntos del polígono en construcción
 let polygonLayer = null;    // Capa visual del polígono
 let polylineLayer = null;   // Línea temporal del polígono
 let selectedDepartments = []; // Departamentos seleccionados por polígono
 let selectedDepartmentsSet = new Set(); // Para búsquedas rápidas
 let pointMarkers = [];      // Marcadores de puntos del polígono
+let selectionMode = 'centroide'; // Criterio de inclusión: 'centroide', 'total' o 'interseca'
+let selectionThreshold = 50; // % mínimo del área del partido dentro de la forma (modo 'interseca')
+let selectionShape = null;  // Forma cerrada (GeoJSON) pendiente de confirmar
+let selectionCandidates = new Set(); // Partidos que se seleccionarían al confirmar
+
+// Planes guardados y autoguardado
+let autosaveEnabled = false; // Se habilita luego de ofrecer recuperar la sesión anterior
+let planBeforeReset = null; // Plan previo a "Reestablecer valores", por si fue un error
+
+// Historial para deshacer/rehacer
+let undoStack = [];         // Instantáneas anteriores al estado actual
+let redoStack = [];         // Instantáneas deshechas que se pueden rehacer
+let historyCurrent = null;  // Instantánea del estado actual
+let historySuspended = false; // True mientras se restaura una instantánea
+let historyCommitTimer = null; // Registro pendiente (agrupa las notificaciones de una acción)
+let pendingHistoryLabel = null; // Descripción de la acción en curso
+
+// Adyacencia y contigüidad
+let adjacencyGraph = null;  // Map cde → Set(cde) de partidos vecinos (se construye a demanda)
+let contiguityToleranceKm = 0.1; // Distancia máxima entre vértices para considerar vecinos
+let divisionContiguity = {}; // {groupId: [[cde, ...], ...]} piezas conexas de cada división
+let fragmentDepartments = new Set(); // Partidos fuera de la pieza principal de su división
+
+// Partidos fijados a su división
+let lockedDepartments = new Set(); // Nombres de partidos fijados (no se arrastran ni los mueve el optimizador)
+let lockMarkersLayer = null; // Capa con los candados de los partidos fijados en el mapa
+
+// Cabeceras de las divisiones (el nombre del partido se guarda en departmentGroups[i].capital)
+let showCapitalSpokes = false; // Dibujar líneas desde cada partido hasta la cabecera de su división
+let capitalSpokesLayer = null; // Capa con las cabeceras y sus líneas en el mapa
+
+// Mapa temático (coloreado por variable)
+let mapMode = 'division';   // 'division' (colores de las divisiones) o 'variable'
+let choroplethSettings = { variable: 'poblacion_total', metodo: 'cuantiles', rampa: 'azules', clases: 5 };
+let choroplethClassification = null; // {valores: Map(nombre → valor), cortes, colores, minimo}
+let choroplethLegend = null; // Control Leaflet con la leyenda
+let divisionBordersLayer = null; // Bordes de las divisiones sobre el coloreado por variable
+
+// Año censal de los valores que muestran la tabla, el resumen y el mapa temático
+let selectedCensusYear = null; // null = los valores de 'datos' en datos_partidos.json
+
+// Equilibrio poblacional
+let balanceThresholds = { aceptable: 5, alerta: 10 }; // Desvíos (%) para colorear el resumen
+
+// Reparto de bancas legislativas (sin filas en la tabla mientras bancas sea 0)
+let seatApportionment = { bancas: 0, metodo: 'dhondt', minimo: 0 };
+
+// Reglas del plan
+let planRules = []; // [{tipo, activa, ...parámetros}] (ver planRuleTypes en constraints.js)
+
+// Concordancia con regiones existentes
+let agreementRegionType = 'secciones_electorales'; // Regionalización contra la que se compara el plan
+
+// Comparación de escenarios
+let comparisonMaps = null;  // {a: {map, layer}, b: {map, layer}} (se crean al abrir el panel)
 
 // =============================================
 // CONSTANTES GLOBALES
@@ -80,6 +137,9 @@ document.addEventListener('DOMContentLoaded', function() {
         // 3. Inicializamos la interfaz de usuario
         initializeUI();
         
+        // 4. Si la URL trae un plan compartido, lo reconstruimos
+        applyPlanFromUrl();
+        
     }).catch(error => {
         console.error('❌ Error en la inicialización:', error);
         alert('Error al cargar los datos. Verifica la consola para más detalles.');
@@ -101,11 +161,28 @@ function initializeUI() {
     setupDivisionSelector(); 
     setupRegionSelector();
     setupPolygonButton();
+    setupContiguityControl();
+    setupCensusYearSelector();
+    setupChoropleth();
+    setupAutomaticPartition();
+    setupDepartmentLocks();
+    setupDivisionCapitals();
     
     // Sistema de visualización de datos
+    setupSeatApportionment();
     initializeComparisonTable();
+    setupBalanceSummary();
+    setupRegionAgreement();
+    setupConstraintRules();
     updateRemainingCount();
     
+    // Planes guardados (al final, porque puede restaurar la sesión anterior)
+    setupPlanLink();
+    setupImportExport();
+    setupScenarioComparison();
+    setupPlanStorage();
+    setupHistory();
+    
     console.log('✅ Interfaz de usuario inicializada');
 }
 
@@ -119,9 +196,19 @@ function initializeUI() {
  */
 function notifyStateChange() {
     updateDepartmentGroups();   // Actualiza la estructura de datos
+    updateDepartmentLocks();    // Descarta fijaciones de partidos sin división
+    updateDivisionCapitals();   // Descarta cabeceras que ya no están en su división
+    updateContiguity();         // Recalcula piezas conexas de cada división
     updateMapColors();          // Actualiza colores en el mapa
+    updateChoropleth();         // Redibuja los bordes de divisiones del modo por variable
     updateComparisonTable();    // Actualiza tabla comparativa
+    updateBalanceSummary();     // Actualiza los indicadores de equilibrio
+    updateRegionAgreement();    // Actualiza la concordancia con las regiones existentes
+    updateConstraintViolations(); // Reevalúa las reglas del plan
     updateRemainingCount();     // Actualiza contadores
+    autosavePlan();             // Guarda la sesión por si se interrumpe
+    recordHistory();            // Registra el cambio para deshacer/rehacer
+    refreshScenarioComparison(); // Actualiza la comparación si incluye el plan actual
 }
 
 /**
@@ -234,4 +321,116 @@ function updateMapColors() {
 
 function updateComparisonTable() {
     // Implementado en ui-controls.js
-}
\ No newline at end of file
+}
+
+function setupPlanStorage() {
+    // Implementado en plan-storage.js
+}
+
+function autosavePlan() {
+    // Implementado en plan-storage.js
+}
+
+function rememberPlanBeforeReset() {
+    // Implementado en plan-storage.js
+}
+
+function setupPlanLink() {
+    // Implementado en plan-link.js
+}
+
+function applyPlanFromUrl() {
+    // Implementado en plan-link.js
+}
+
+function setupImportExport() {
+    // Implementado en import-export.js
+}
+
+function setupHistory() {
+    // Implementado en history.js
+}
+
+function recordHistory() {
+    // Implementado en history.js
+}
+
+function setHistoryLabel(label) {
+    // Implementado en history.js
+}
+
+function setupScenarioComparison() {
+    // Implementado en scenario-compare.js
+}
+
+function refreshScenarioComparison() {
+    // Implementado en scenario-compare.js
+}
+
+function updateContiguity() {
+    // Implementado en geometry.js
+}
+
+function setupContiguityControl() {
+    // Implementado en ui-controls.js
+}
+
+function setupCensusYearSelector() {
+    // Implementado en ui-controls.js
+}
+
+function setupAutomaticPartition() {
+    // Implementado en partitioning.js
+}
+
+function setupDepartmentLocks() {
+    // Implementado en ui-controls.js
+}
+
+function updateDepartmentLocks() {
+    // Implementado en ui-controls.js
+}
+
+function setupDivisionCapitals() {
+    // Implementado en ui-controls.js
+}
+
+function updateDivisionCapitals() {
+    // Implementado en ui-controls.js
+}
+
+function setupBalanceSummary() {
+    // Implementado en balance.js
+}
+
+function updateBalanceSummary() {
+    // Implementado en balance.js
+}
+
+function setupSeatApportionment() {
+    // Implementado en apportionment.js
+}
+
+function setupRegionAgreement() {
+    // Implementado en region-agreement.js
+}
+
+function updateRegionAgreement() {
+    // Implementado en region-agreement.js
+}
+
+function setupConstraintRules() {
+    // Implementado en constraints.js
+}
+
+function updateConstraintViolations() {
+    // Implementado en constraints.js
+}
+
+function setupChoropleth() {
+    // Implementado en choropleth.js
+}
+
+function updateChoropleth() {
+    // Implementado en choropleth.js
+}
@@ -4,7 +4,7 @@
  * Este archivo maneja TODO lo relacionado con el mapa:
  * - Configuración de Leaflet y capas base
  * - Visualización de departamentos GeoJSON
- * - Herramienta de selección por polígono
+ * - Herramientas de selección por polígono, rectángulo, círculo y lazo
  * - Estilos y colores del mapa
  * - Interacciones geográficas
  */
@@ -25,14 +25,23 @@ function initializeMap() {
     map = L.map('map').setView([-36.6769, -59.8499], 7);
     
     // Capa base oficial del IGN - Mapa base en escala de grises
-    L.tileLayer('https://wms.ign.gob.ar/geoserver/gwc/service/tms/1.0.0/mapabase_gris@EPSG%3A3857@png/{z}/{x}/{-y}.png', {
+    createBaseTileLayer().addTo(map);
+    
+    console.log('✅ Mapa inicializado correctamente');
+}
+
+/**
+ * CREA LA CAPA BASE DEL IGN (escala de grises)
+ * Se usa en el mapa principal y en los mapas de comparación
+ * @returns {L.TileLayer} - Capa de teselas lista para agregar a un mapa
+ */
+function createBaseTileLayer() {
+    return L.tileLayer('https://wms.ign.gob.ar/geoserver/gwc/service/tms/1.0.0/mapabase_gris@EPSG%3A3857@png/{z}/{x}/{-y}.png', {
         attribution: 'Mapa base: <a href="http://www.ign.gob.ar" target="_blank">Instituto Geográfico Nacional</a>',
         minZoom: 3,
         maxZoom: 18,
         crossOrigin: true // Importante para evitar problemas CORS
-    }).addTo(map);
-    
-    console.log('✅ Mapa inicializado correctamente');
+    });
 }
 
 // =============================================
@@ -45,6 +54,10 @@ function initializeMap() {
  * - En listado: transparentes con borde
  * - En división: coloreados según su grupo
  * - Seleccionados: resaltados en naranja
+ * - Candidatos de una forma sin confirmar: naranja claro con borde punteado
+ * - Fragmentos no contiguos de una división: borde punteado rojo
+ * - Fijados a su división: borde oscuro (y un candado, ver updateLockMarkers)
+ * - En el modo "por variable": según la clase de su valor (ver choropleth.js)
  */
 function getDepartmentStyle(feature) {
     const deptName = feature.properties.nam;
@@ -59,19 +72,63 @@ function getDepartmentStyle(feature) {
             fillOpacity: 0.7,
             color: '#e67e22',
             weight: 3,
-            opacity: 1
+            opacity: 1,
+            dashArray: null
         };
     }
     
+    // Candidato de la forma dibujada, a la espera de confirmación
+    if (selectionCandidates.has(deptName)) {
+        return {
+            fillColor: '#f39c12',
+            fillOpacity: 0.45,
+            color: '#e67e22',
+            weight: 2,
+            opacity: 1,
+            dashArray: '4, 4'
+        };
+    }
+    
+    // Mapa temático: el color depende de la variable, no de la división
+    if (mapMode === 'variable') {
+        return getChoroplethStyle(feature);
+    }
+    
     // Departamento asignado a una división
     if (inDivision) {
         const groupId = getDepartmentGroupId(deptName);
+        
+        // Fragmento separado del resto de su división: borde punteado rojo
+        if (fragmentDepartments.has(deptName)) {
+            return {
+                fillColor: departmentGroups[groupId].color,
+                fillOpacity: 0.8,
+                color: '#c0392b',
+                weight: 2.5,
+                opacity: 1,
+                dashArray: '6, 4'
+            };
+        }
+        
+        // Fijado a su división: borde oscuro más grueso
+        if (lockedDepartments.has(deptName)) {
+            return {
+                fillColor: departmentGroups[groupId].color,
+                fillOpacity: 0.8,
+                color: '#2c3e50',
+                weight: 2.5,
+                opacity: 1,
+                dashArray: null
+            };
+        }
+        
         return {
             fillColor: departmentGroups[groupId].color,
             fillOpacity: 0.8,
             color: 'white',
             weight: 1.5,
-            opacity: 1
+            opacity: 1,
+            dashArray: null
         };
     }
     
@@ -81,7 +138,8 @@ function getDepartmentStyle(feature) {
         fillOpacity: 0,  // Transparente
         color: '#2c3e50',
         weight: isGBA ? 1.5 : 0.8, // GBA con borde más grueso
-        opacity: 0.8
+        opacity: 0.8,
+        dashArray: null
     };
 }
 
@@ -99,9 +157,12 @@ function setupDepartmentInteractions(feature, layer) {
         className: 'map-tooltip'
     });
     
-    // Click para resaltar temporalmente
-    layer.on('click', function() {
+    // Click para resaltar temporalmente y ofrecer fijar el partido a su división
+    layer.on('click', function(e) {
         highlightDepartment(nombre);
+        if (!polygonMode && isDepartmentInDivision(nombre)) {
+            openDepartmentLockPopup(nombre, e.latlng);
+        }
     });
     
     // Efectos hover - resaltado temporal
@@ -163,34 +224,171 @@ function highlightDepartment(deptName) {
     });
 }
 
+/**
+ * MUESTRA UN POPUP PARA FIJAR O DESFIJAR UN PARTIDO DESDE EL MAPA
+ * @param {string} deptName - Nombre del partido
+ * @param {L.LatLng} latlng - Posición del clic
+ */
+function openDepartmentLockPopup(deptName, latlng) {
+    const fijado = lockedDepartments.has(deptName);
+    const division = departmentGroups[getDepartmentGroupId(deptName)];
+
+    const contenido = document.createElement('div');
+    contenido.innerHTML = `<strong>${escapeHTML(deptName)}</strong><br>${escapeHTML(division.name)}<br>`;
+
+    const boton = document.createElement('button');
+    boton.className = 'tool-button';
+    boton.textContent = fijado ? '🔓 Desfijar' : '🔒 Fijar a la división';
+    boton.addEventListener('click', () => {
+        map.closePopup();
+        toggleDepartmentLock(deptName);
+    });
+    contenido.appendChild(boton);
+
+    L.popup().setLatLng(latlng).setContent(contenido).openOn(map);
+}
+
+/**
+ * DIBUJA UN CANDADO SOBRE CADA PARTIDO FIJADO
+ * Se llama al sincronizar los partidos fijados (ver updateDepartmentLocks)
+ */
+function updateLockMarkers() {
+    if (!map) return;
+
+    if (!lockMarkersLayer) {
+        lockMarkersLayer = L.layerGroup().addTo(map);
+    }
+    lockMarkersLayer.clearLayers();
+
+    lockedDepartments.forEach(deptName => {
+        const dept = getDepartmentByName(deptName);
+        if (!dept) return;
+
+        // Un punto garantizado dentro del partido (el centro del bbox puede caer afuera)
+        const [lon, lat] = turf.pointOnFeature(dept).geometry.coordinates;
+        L.marker([lat, lon], {
+            icon: L.divIcon({ className: 'lock-marker', html: '🔒', iconSize: [18, 18] }),
+            interactive: false,
+            keyboard: false
+        }).addTo(lockMarkersLayer);
+    });
+}
+
+/**
+ * DIBUJA LAS CABECERAS Y, SI ESTÁ ACTIVADO, LAS LÍNEAS DESDE CADA PARTIDO
+ * Se llama al sincronizar las cabeceras (ver updateDivisionCapitals)
+ */
+function updateCapitalSpokes() {
+    if (!map) return;
+
+    if (!capitalSpokesLayer) {
+        capitalSpokesLayer = L.layerGroup().addTo(map);
+    }
+    capitalSpokesLayer.clearLayers();
+
+    Object.values(departmentGroups).forEach(group => {
+        const cabecera = group.capital ? getDepartmentByName(group.capital) : null;
+        if (!cabecera) return;
+
+        const [lonCabecera, latCabecera] = obtenerCentroidePartido(cabecera).geometry.coordinates;
+
+        if (showCapitalSpokes) {
+            group.departments.forEach(deptName => {
+                const dept = getDepartmentByName(deptName);
+                if (!dept || dept === cabecera) return;
+
+                const [lon, lat] = obtenerCentroidePartido(dept).geometry.coordinates;
+                L.polyline([[lat, lon], [latCabecera, lonCabecera]], {
+                    color: group.color,
+                    weight: 1.5,
+                    opacity: 0.9,
+                    interactive: false
+                }).addTo(capitalSpokesLayer);
+            });
+        }
+
+        L.marker([latCabecera, lonCabecera], {
+            icon: L.divIcon({ className: 'capital-marker', html: '★', iconSize: [20, 20] }),
+            title: `Cabecera de ${group.name}: ${group.capital}`,
+            keyboard: false
+        }).addTo(capitalSpokesLayer);
+    });
+}
+
 // =============================================
-// HERRAMIENTA DE SELECCIÓN POR POLÍGONO
+// HERRAMIENTAS DE SELECCIÓN POR FORMA
 // =============================================
 
+// Herramientas disponibles: botón que las activa y texto de ayuda
+const selectionTools = {
+    poligono: {
+        boton: 'polygon-btn',
+        nombre: 'polígono',
+        ayuda: 'Haz clic izquierdo para agregar puntos. Haz clic derecho para finalizar.'
+    },
+    rectangulo: {
+        boton: 'rectangle-btn',
+        nombre: 'rectángulo',
+        ayuda: 'Arrastra sobre el mapa para dibujar el rectángulo.'
+    },
+    circulo: {
+        boton: 'circle-btn',
+        nombre: 'círculo',
+        ayuda: 'Haz clic en el centro del círculo. El radio se puede cambiar antes o después del clic.'
+    },
+    lazo: {
+        boton: 'lasso-btn',
+        nombre: 'lazo',
+        ayuda: 'Mantén presionado el botón del mouse y dibuja el contorno a mano alzada.'
+    }
+};
+
+// Estilo de la forma dibujada
+const selectionShapeStyle = {
+    color: '#3498db',
+    weight: 2,
+    fillColor: '#3498db',
+    fillOpacity: 0.2
+};
+
 /**
  * ACTIVACIÓN DEL MODO POLÍGONO
- * Prepara el mapa para dibujar polígonos de selección
+ * Prepara el mapa para dibujar una forma de selección con la herramienta elegida
+ * @param {string} herramienta - Clave de selectionTools
  */
-function activatePolygonMode() {
-    console.log('🔷 Activando modo polígono...');
+function activatePolygonMode(herramienta = 'poligono') {
+    console.log(`🔷 Activando selección por ${selectionTools[herramienta].nombre}...`);
     
     polygonMode = true;
+    selectionTool = herramienta;
     polygonPoints = [];
     selectedDepartments = [];
     selectedDepartmentsSet.clear();
     
     // Feedback visual en la interfaz
-    document.getElementById('polygon-btn').classList.add('active');
+    document.getElementById(selectionTools[herramienta].boton).classList.add('active');
     document.getElementById('polygon-info').style.display = 'block';
+    document.getElementById('selection-tool-name').textContent = `Selección por ${selectionTools[herramienta].nombre}:`;
+    document.getElementById('selection-tool-help').textContent = selectionTools[herramienta].ayuda;
+    document.getElementById('selection-radius-field').hidden = herramienta !== 'circulo';
     
     // Cambiar cursor del mapa
     map.getContainer().style.cursor = 'crosshair';
     
-    // Configurar eventos del mapa para modo polígono
+    // El rectángulo y el lazo se dibujan arrastrando, así que el mapa no debe desplazarse
+    if (herramienta === 'rectangulo' || herramienta === 'lazo') {
+        map.dragging.disable();
+    }
+    
+    // Configurar eventos del mapa para el modo selección
     map.on('click', handleMapClick);
     map.on('contextmenu', handleMapRightClick);
+    map.on('mousedown', handleShapeDragStart);
+    map.on('mousemove', handleShapeDragMove);
+    // El arrastre puede terminar fuera del mapa: el fin se escucha en todo el documento
+    document.addEventListener('mouseup', handleShapeDragEnd);
     
-    console.log('✅ Modo polígono activado - Clic izquierdo: agregar puntos | Clic derecho: finalizar');
+    console.log(`✅ Selección por ${selectionTools[herramienta].nombre} activada`);
 }
 
 /**
@@ -201,29 +399,22 @@ function deactivatePolygonMode() {
     console.log('🔷 Desactivando modo polígono...');
     
     polygonMode = false;
+    clearShapeSelection();
     
     // Restaurar interfaz
-    document.getElementById('polygon-btn').classList.remove('active');
+    Object.values(selectionTools).forEach(herramienta => {
+        document.getElementById(herramienta.boton).classList.remove('active');
+    });
     document.getElementById('polygon-info').style.display = 'none';
     map.getContainer().style.cursor = '';
-    
-    // Limpiar elementos visuales del polígono
-    if (polygonLayer) {
-        map.removeLayer(polygonLayer);
-        polygonLayer = null;
-    }
-    if (polylineLayer) {
-        map.removeLayer(polylineLayer);
-        polylineLayer = null;
-    }
-    
-    // Limpiar marcadores de puntos
-    pointMarkers.forEach(marker => map.removeLayer(marker));
-    pointMarkers = [];
+    map.dragging.enable();
     
     // Remover eventos específicos del modo polígono
     map.off('click', handleMapClick);
     map.off('contextmenu', handleMapRightClick);
+    map.off('mousedown', handleShapeDragStart);
+    map.off('mousemove', handleShapeDragMove);
+    document.removeEventListener('mouseup', handleShapeDragEnd);
     
     console.log('✅ Modo polígono desactivado');
 }
@@ -232,7 +423,14 @@ function deactivatePolygonMode() {
  * MANEJO DE CLICK IZQUIERDO - Agregar punto al polígono
  */
 function handleMapClick(e) {
-    if (!polygonMode) return;
+    // Con la forma cerrada solo queda confirmar o descartar la vista previa
+    if (!polygonMode || selectionShape) return;
+    
+    if (selectionTool === 'circulo') {
+        drawSelectionCircle(e.latlng);
+        return;
+    }
+    if (selectionTool !== 'poligono') return;
     
     // Agregar punto a la lista
     polygonPoints.push(e.latlng);
@@ -264,7 +462,7 @@ function handleMapClick(e) {
  * MANEJO DE CLICK DERECHO - Finalizar polígono
  */
 function handleMapRightClick(e) {
-    if (!polygonMode || polygonPoints.length < 3) return;
+    if (!polygonMode || selectionTool !== 'poligono' || selectionShape || polygonPoints.length < 3) return;
     
     e.originalEvent.preventDefault(); // Evitar menú contextual
     finalizePolygon();
@@ -282,12 +480,7 @@ function drawPolygon() {
     
     // Crear nuevo polígono si hay suficientes puntos
     if (polygonPoints.length >= 3) {
-        polygonLayer = L.polygon(polygonPoints, {
-            color: '#3498db',
-            weight: 2,
-            fillColor: '#3498db',
-            fillOpacity: 0.2
-        }).addTo(map);
+        polygonLayer = L.polygon(polygonPoints, selectionShapeStyle).addTo(map);
     }
 }
 
@@ -310,9 +503,101 @@ function drawPolyline() {
     }).addTo(map);
 }
 
+/**
+ * INICIO DEL ARRASTRE - Primer punto del rectángulo o del lazo
+ */
+function handleShapeDragStart(e) {
+    if (!polygonMode || selectionShape) return;
+    if (selectionTool !== 'rectangulo' && selectionTool !== 'lazo') return;
+    
+    polygonPoints = [e.latlng];
+}
+
+/**
+ * MOVIMIENTO DURANTE EL ARRASTRE - Actualiza el rectángulo o el trazo del lazo
+ */
+function handleShapeDragMove(e) {
+    if (!polygonMode || selectionShape || polygonPoints.length === 0) return;
+    
+    if (selectionTool === 'rectangulo') {
+        const limites = L.latLngBounds(polygonPoints[0], e.latlng);
+        if (polygonLayer) {
+            polygonLayer.setBounds(limites);
+        } else {
+            polygonLayer = L.rectangle(limites, selectionShapeStyle).addTo(map);
+        }
+    } else if (selectionTool === 'lazo') {
+        // Se ignoran los movimientos mínimos para no acumular miles de vértices
+        const anterior = map.latLngToContainerPoint(polygonPoints[polygonPoints.length - 1]);
+        if (anterior.distanceTo(e.containerPoint) < 4) return;
+        
+        polygonPoints.push(e.latlng);
+        if (polylineLayer) {
+            polylineLayer.addLatLng(e.latlng);
+        } else {
+            drawPolyline();
+        }
+    }
+}
+
+/**
+ * FIN DEL ARRASTRE - Cierra el rectángulo o el lazo y muestra los candidatos
+ * Se escucha en el documento; si se suelta fuera del mapa, la esquina del
+ * rectángulo queda donde está el puntero
+ * @param {MouseEvent} event - Evento mouseup del navegador
+ */
+function handleShapeDragEnd(event) {
+    if (!polygonMode || selectionShape || polygonPoints.length === 0) return;
+    
+    if (selectionTool === 'rectangulo') {
+        const limites = L.latLngBounds(polygonPoints[0], map.mouseEventToLatLng(event));
+        if (limites.getNorthEast().equals(limites.getSouthWest())) {
+            // Un clic sin arrastrar no define un rectángulo
+            clearShapeSelection();
+            return;
+        }
+        console.log('🔷 Rectángulo de selección dibujado');
+        previewShapeSelection(turf.bboxPolygon([
+            limites.getWest(), limites.getSouth(), limites.getEast(), limites.getNorth()
+        ]));
+    } else if (selectionTool === 'lazo') {
+        if (polygonPoints.length < 3) {
+            clearShapeSelection();
+            return;
+        }
+        drawPolygon();
+        finalizePolygon();
+    }
+}
+
+/**
+ * DIBUJA EL CÍRCULO DE SELECCIÓN Y MUESTRA LOS CANDIDATOS
+ * Se vuelve a llamar con el mismo centro si cambia el radio
+ * @param {L.LatLng} centro - Centro del círculo
+ */
+function drawSelectionCircle(centro) {
+    if (polygonLayer) {
+        map.removeLayer(polygonLayer);
+    }
+    pointMarkers.forEach(marker => map.removeLayer(marker));
+    
+    polygonPoints = [centro];
+    polygonLayer = L.circle(centro, Object.assign({ radius: selectionRadiusKm * 1000 }, selectionShapeStyle)).addTo(map);
+    pointMarkers = [L.circleMarker(centro, {
+        radius: 4,
+        fillColor: '#e74c3c',
+        color: '#c0392b',
+        weight: 2,
+        fillOpacity: 0.8
+    }).addTo(map)];
+    
+    console.log(`🔷 Círculo de selección de ${selectionRadiusKm} km`);
+    previewShapeSelection(turf.circle([centro.lng, centro.lat], selectionRadiusKm, { steps: 64, units: 'kilometers' }));
+}
+
 /**
  * FINALIZACIÓN DEL POLÍGONO
- * Identifica departamentos dentro del polígono y los selecciona
+ * Cierra la forma y muestra los partidos candidatos antes de seleccionarlos
  */
 function finalizePolygon() {
     if (polygonPoints.length < 3) {
@@ -322,44 +607,147 @@ function finalizePolygon() {
     
     console.log(`🔷 Finalizando polígono con ${polygonPoints.length} puntos...`);
     
-    // Crear polígono Leaflet para cálculos espaciales
-    const polygon = L.polygon(polygonPoints);
-    
-    // Identificar departamentos que intersectan con el polígono
-    selectedDepartments = [];
-    selectedDepartmentsSet.clear();
+    // GeoJSON usa [lon, lat] y el anillo debe cerrarse repitiendo el primer punto
+    const anillo = polygonPoints.map(punto => [punto.lng, punto.lat]);
+    anillo.push(anillo[0]);
     
+    previewShapeSelection(turf.polygon([anillo]));
+}
+
+// =============================================
+// SELECCIÓN DE PARTIDOS DENTRO DE UNA FORMA
+// =============================================
+
+/**
+ * CALCULA QUÉ PARTE DEL ÁREA DE UN PARTIDO QUEDA DENTRO DE UNA FORMA
+ * @param {Object} dept - Feature del partido
+ * @param {Object} forma - Feature Polygon de la forma dibujada
+ * @returns {number} - Proporción entre 0 y 1
+ */
+function areaFractionInShape(dept, forma) {
+    try {
+        const interseccion = turf.intersect(turf.featureCollection([dept, forma]));
+        return interseccion ? turf.area(interseccion) / turf.area(dept) : 0;
+    } catch (error) {
+        // Una forma que se cruza a sí misma puede hacer fallar la intersección
+        console.warn(`⚠️ No se pudo intersecar la forma con ${dept.properties.nam}:`, error);
+        return turf.booleanPointInPolygon(obtenerCentroidePartido(dept), forma) ? 1 : 0;
+    }
+}
+
+/**
+ * BUSCA LOS PARTIDOS QUE CUMPLEN EL CRITERIO DE INCLUSIÓN EN UNA FORMA
+ * - 'centroide': el centroide del partido cae dentro de la forma
+ * - 'total': el partido queda completamente dentro (se tolera un 0,1% por redondeos)
+ * - 'interseca': más del umbral indicado del área del partido queda dentro
+ * @param {Object} forma - Feature Polygon de la forma dibujada
+ * @param {string} modo - 'centroide', 'total' o 'interseca'
+ * @param {number} umbral - Porcentaje del área para el modo 'interseca'
+ * @returns {Array<string>} - Nombres de los partidos
+ */
+function findDepartmentsInShape(forma, modo, umbral) {
+    const [oeste, sur, este, norte] = turf.bbox(forma);
+    const limites = L.latLngBounds([sur, oeste], [norte, este]);
+    const partidos = [];
+
     geoJsonLayer.eachLayer(function(layer) {
-        // Verificación por bounding box primero (más rápida)
-        if (polygon.getBounds().intersects(layer.getBounds())) {
-            // Verificación más precisa usando el centroide
-            const center = layer.getBounds().getCenter();
-            if (polygon.getBounds().contains(center)) {
-                const deptName = layer.feature.properties.nam;
-                selectedDepartments.push(deptName);
-                selectedDepartmentsSet.add(deptName);
-            }
+        // Descarte rápido por bounding box antes de las pruebas geométricas
+        if (!limites.intersects(layer.getBounds())) return;
+
+        const dept = layer.feature;
+        let incluido;
+        if (modo === 'centroide') {
+            incluido = turf.booleanPointInPolygon(obtenerCentroidePartido(dept), forma);
+        } else if (modo === 'total') {
+            incluido = areaFractionInShape(dept, forma) >= 0.999;
+        } else {
+            incluido = areaFractionInShape(dept, forma) * 100 > umbral;
         }
+
+        if (incluido) partidos.push(dept.properties.nam);
     });
-    
-    // Mostrar resultados y actualizar interfaz
-    if (selectedDepartments.length > 0) {
-        console.log(`✅ Seleccionados ${selectedDepartments.length} departamentos`);
-        
-        highlightSelectedDepartments();
-        moveSelectedToMainList();
-        markSelectedInDivisions();
-        
-        alert(`Se seleccionaron ${selectedDepartments.length} departamentos`);
-    } else {
-        console.log('⚠️ No se encontraron departamentos dentro del polígono');
-        alert('No se encontraron departamentos dentro del polígono');
+
+    return partidos;
+}
+
+/**
+ * MUESTRA LOS PARTIDOS CANDIDATOS DE UNA FORMA CERRADA
+ * La selección se aplica recién con confirmShapeSelection()
+ * @param {Object} forma - Feature Polygon de la forma dibujada
+ */
+function previewShapeSelection(forma) {
+    selectionShape = forma;
+    updateShapeSelectionPreview();
+}
+
+/**
+ * RECALCULA LOS CANDIDATOS CON EL CRITERIO ACTUAL
+ * Se llama al cerrar la forma y al cambiar el modo o el umbral
+ */
+function updateShapeSelectionPreview() {
+    if (!selectionShape) return;
+
+    const partidos = findDepartmentsInShape(selectionShape, selectionMode, selectionThreshold);
+    // Los partidos fijados no participan de los movimientos en bloque
+    const fijados = partidos.filter(deptName => lockedDepartments.has(deptName));
+    selectionCandidates = new Set(partidos.filter(deptName => !lockedDepartments.has(deptName)));
+    updateMapColors();
+
+    const nombres = Array.from(selectionCandidates).sort((a, b) => a.localeCompare(b));
+    let texto = nombres.length > 0
+        ? `${nombres.length} ${nombres.length === 1 ? 'partido candidato' : 'partidos candidatos'}: ${nombres.join(', ')}`
+        : 'Ningún partido cumple el criterio elegido';
+    if (fijados.length > 0) {
+        texto += ` (${fijados.length} fijados quedan afuera)`;
     }
-    
-    // Volver al modo normal
+
+    document.getElementById('selection-preview-text').textContent = texto;
+    document.getElementById('confirm-selection-btn').disabled = nombres.length === 0;
+    document.getElementById('selection-preview').hidden = false;
+}
+
+/**
+ * CONFIRMA LA SELECCIÓN DE LOS CANDIDATOS Y VUELVE AL MODO NORMAL
+ */
+function confirmShapeSelection() {
+    selectedDepartments = Array.from(selectionCandidates);
+    selectedDepartmentsSet.clear();
+    selectedDepartments.forEach(deptName => selectedDepartmentsSet.add(deptName));
+    console.log(`✅ Seleccionados ${selectedDepartments.length} departamentos`);
+
+    // Sin candidatos pendientes, el estilo de seleccionado es el que se ve
+    selectionCandidates.clear();
+    highlightSelectedDepartments();
+    moveSelectedToMainList();
+    markSelectedInDivisions();
+
     deactivatePolygonMode();
 }
 
+/**
+ * DESCARTA LA FORMA DIBUJADA Y SUS CANDIDATOS
+ * Sigue en modo polígono para dibujar otra forma
+ */
+function clearShapeSelection() {
+    selectionShape = null;
+    selectionCandidates.clear();
+    polygonPoints = [];
+
+    if (polygonLayer) {
+        map.removeLayer(polygonLayer);
+        polygonLayer = null;
+    }
+    if (polylineLayer) {
+        map.removeLayer(polylineLayer);
+        polylineLayer = null;
+    }
+    pointMarkers.forEach(marker => map.removeLayer(marker));
+    pointMarkers = [];
+
+    document.getElementById('selection-preview').hidden = true;
+    updateMapColors();
+}
+
 /**
  * RESALTADO VISUAL DE DEPARTAMENTOS SELECCIONADOS
  * Aplica estilo especial a los departamentos dentro del polígono
@@ -418,4 +806,12 @@ function moveSelectedToMainList() {
 
 function markSelectedInDivisions() {
     // Implementado en ui-controls.js  
+}
+
+function toggleDepartmentLock(deptName) {
+    // Implementado en ui-controls.js
+}
+
+function getChoroplethStyle(feature) {
+    // Implementado en choropleth.js
 }
\ No newline at end of file
@@ -0,0 +1,839 @@
+/*
+ * MÓDULO DE PARTICIÓN AUTOMÁTICA - partitioning.js
+ *
+ * Responsabilidades:
+ * - Generar divisiones contiguas y equilibradas a partir del grafo de adyacencia
+ * - Generador de números aleatorios con semilla (resultados reproducibles)
+ * - Ajuste local del equilibrio moviendo o intercambiando partidos de borde
+ * - Mejora del equilibrio de un plan existente con registro paso a paso
+ * - Borradores rápidos por agrupamiento geográfico (k-medias / k-medoides sobre centroides)
+ *
+ * Las asignaciones se representan como Map cde → índice de división (0, 1, ...)
+ */
+
+// =============================================
+// NÚMEROS ALEATORIOS CON SEMILLA
+// =============================================
+
+/**
+ * CREA UN GENERADOR PSEUDOALEATORIO REPRODUCIBLE (mulberry32)
+ * @param {number} semilla - Entero que determina la secuencia
+ * @returns {Function} - Devuelve un número en [0, 1) en cada llamada
+ */
+function createSeededRandom(semilla) {
+    let estado = semilla >>> 0;
+    return function() {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * MEZCLA UN ARRAY CON EL GENERADOR DADO (Fisher-Yates)
+ * @param {Array} elementos - Array a mezclar (no se modifica)
+ * @param {Function} random - Generador creado por createSeededRandom
+ * @returns {Array} - Copia mezclada
+ */
+function shuffleWithRandom(elementos, random) {
+    const copia = elementos.slice();
+    for (let i = copia.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copia[i], copia[j]] = [copia[j], copia[i]];
+    }
+    return copia;
+}
+
+// =============================================
+// UTILIDADES SOBRE ASIGNACIONES
+// =============================================
+
+/**
+ * OBTIENE EL VALOR DE UNA VARIABLE PARA UN PARTIDO
+ * @param {string} cde - Código CDE
+ * @param {string} variable - Variable de datos_partidos.json
+ * @returns {number} - Valor o 0 si no hay dato
+ */
+function valorPartido(cde, variable) {
+    return obtenerDatoPartido(cde, variable) || 0;
+}
+
+/**
+ * CALCULA EL PESO (SUMA DE LA VARIABLE) DE CADA DIVISIÓN
+ * @param {Map} asignacion - cde → índice de división
+ * @param {number} cantidad - Cantidad de divisiones
+ * @param {string} variable - Variable a sumar
+ * @returns {Array<number>} - Peso por división
+ */
+function pesosPorDivision(asignacion, cantidad, variable) {
+    const pesos = new Array(cantidad).fill(0);
+    asignacion.forEach((division, cde) => {
+        pesos[division] += valorPartido(cde, variable);
+    });
+    return pesos;
+}
+
+/**
+ * CUENTA LAS PIEZAS CONEXAS DE UNA DIVISIÓN DENTRO DE UNA ASIGNACIÓN
+ * @param {Map} asignacion - cde → índice de división
+ * @param {number} division - División a revisar
+ * @returns {number} - Cantidad de piezas (0 si la división está vacía)
+ */
+function contarPiezasEnAsignacion(asignacion, division) {
+    const grafo = getAdjacencyGraph();
+    const pendientes = new Set();
+    asignacion.forEach((d, cde) => {
+        if (d === division) pendientes.add(cde);
+    });
+
+    let piezas = 0;
+    pendientes.forEach(inicio => {
+        piezas++;
+        const cola = [inicio];
+        pendientes.delete(inicio);
+        while (cola.length > 0) {
+            grafo.get(cola.shift()).forEach(vecino => {
+                if (pendientes.has(vecino)) {
+                    pendientes.delete(vecino);
+                    cola.push(vecino);
+                }
+            });
+        }
+    });
+    return piezas;
+}
+
+/**
+ * DISTANCIA EN SALTOS DEL GRAFO DESDE UN PARTIDO A TODOS LOS DEMÁS
+ * @param {string} origen - Código CDE de partida
+ * @returns {Map} - cde → cantidad de saltos (los inalcanzables no aparecen)
+ */
+function distanciasEnGrafo(origen) {
+    const grafo = getAdjacencyGraph();
+    const distancias = new Map([[origen, 0]]);
+    const cola = [origen];
+    while (cola.length > 0) {
+        const actual = cola.shift();
+        grafo.get(actual).forEach(vecino => {
+            if (!distancias.has(vecino)) {
+                distancias.set(vecino, distancias.get(actual) + 1);
+                cola.push(vecino);
+            }
+        });
+    }
+    return distancias;
+}
+
+/**
+ * CONVIERTE UNA ASIGNACIÓN EN REGIONES CON EL FORMATO DE regiones_existentes.json
+ * @param {Map} asignacion - cde → índice de división
+ * @param {number} cantidad - Cantidad de divisiones
+ * @returns {Object} - {regiones, nombresRegiones} para applyRegions()
+ */
+function asignacionARegiones(asignacion, cantidad) {
+    const nombresRegiones = Array.from({length: cantidad}, (_, i) => `División ${i + 1}`);
+    const regiones = {};
+    nombresRegiones.forEach(nombre => { regiones[nombre] = []; });
+
+    allDepartments.forEach(dept => {
+        const cde = dept.properties.cde;
+        if (asignacion.has(cde)) {
+            regiones[nombresRegiones[asignacion.get(cde)]].push({ cde: cde, municipio_nombre: dept.properties.nam });
+        }
+    });
+
+    return { regiones, nombresRegiones };
+}
+
+// =============================================
+// GENERACIÓN DE DIVISIONES CONTIGUAS
+// =============================================
+
+/**
+ * ELIGE LOS PARTIDOS INICIALES DE CADA DIVISIÓN, SEPARADOS ENTRE SÍ
+ * Las divisiones con partidos fijados parten de ellos; para el resto, la primera
+ * semilla es aleatoria (si no hay fijados) y cada siguiente es el partido más
+ * lejano (en saltos) de todos los ya elegidos
+ * @param {number} cantidad - Cantidad de divisiones
+ * @param {Function} random - Generador con semilla
+ * @param {Map} fijos - cde → índice de división de los partidos fijados
+ * @returns {Array<Array<string>>|null} - Códigos CDE iniciales de cada división, o null
+ *   si no quedan partidos libres para todas las divisiones sin partidos fijados
+ */
+function elegirSemillas(cantidad, random, fijos = new Map()) {
+    const codigos = shuffleWithRandom(allDepartments.map(dept => dept.properties.cde), random);
+    const semillas = Array.from({length: cantidad}, () => []);
+    fijos.forEach((division, cde) => semillas[division].push(cde));
+
+    const elegidos = new Set(fijos.keys());
+    const distanciaMinima = new Map(codigos.map(cde => [cde, Infinity]));
+    const acercar = origen => {
+        const distancias = distanciasEnGrafo(origen);
+        codigos.forEach(cde => {
+            const distancia = distancias.has(cde) ? distancias.get(cde) : Infinity;
+            distanciaMinima.set(cde, Math.min(distanciaMinima.get(cde), distancia));
+        });
+    };
+    elegidos.forEach(acercar);
+
+    if (semillas.filter(iniciales => iniciales.length === 0).length > codigos.length - elegidos.size) return null;
+
+    semillas.forEach(iniciales => {
+        if (iniciales.length > 0) return;
+
+        // El orden mezclado desempata al azar entre partidos igual de lejanos
+        let mejor = null;
+        codigos.forEach(cde => {
+            if (elegidos.has(cde)) return;
+            if (mejor === null || distanciaMinima.get(cde) > distanciaMinima.get(mejor)) mejor = cde;
+        });
+
+        iniciales.push(mejor);
+        elegidos.add(mejor);
+        acercar(mejor);
+    });
+
+    return semillas;
+}
+
+/**
+ * HACE CRECER LAS DIVISIONES DESDE LAS SEMILLAS
+ * En cada paso la división más liviana incorpora el vecino libre más conectado a ella
+ * @param {Array<Array<string>>} semillas - Partidos iniciales de cada división
+ * @param {string} variable - Variable a equilibrar
+ * @param {Function} random - Generador con semilla
+ * @returns {Map} - cde → índice de división
+ */
+function crecerDivisiones(semillas, variable, random) {
+    const grafo = getAdjacencyGraph();
+    const asignacion = new Map();
+    const pesos = semillas.map(() => 0);
+
+    semillas.forEach((iniciales, division) => {
+        iniciales.forEach(cde => {
+            asignacion.set(cde, division);
+            pesos[division] += valorPartido(cde, variable);
+        });
+    });
+    const libresVecinos = division => {
+        const candidatos = new Map(); // cde → cantidad de bordes con la división
+        asignacion.forEach((d, cde) => {
+            if (d !== division) return;
+            grafo.get(cde).forEach(vecino => {
+                if (!asignacion.has(vecino)) candidatos.set(vecino, (candidatos.get(vecino) || 0) + 1);
+            });
+        });
+        return candidatos;
+    };
+
+    while (asignacion.size < allDepartments.length) {
+        // Divisiones ordenadas de más liviana a más pesada (empates al azar)
+        const orden = shuffleWithRandom(semillas.map((_, i) => i), random).sort((a, b) => pesos[a] - pesos[b]);
+
+        let creció = false;
+        for (const division of orden) {
+            const candidatos = libresVecinos(division);
+            if (candidatos.size === 0) continue;
+
+            const opciones = shuffleWithRandom(Array.from(candidatos.keys()), random);
+            const elegido = opciones.reduce((mejor, cde) => candidatos.get(cde) > candidatos.get(mejor) ? cde : mejor);
+            asignacion.set(elegido, division);
+            pesos[division] += valorPartido(elegido, variable);
+            creció = true;
+            break;
+        }
+
+        if (!creció) break; // Quedan partidos inalcanzables desde todas las semillas
+    }
+
+    return asignacion;
+}
+
+/**
+ * ASIGNA LOS PARTIDOS AISLADOS (SIN VECINOS ALCANZABLES) A LA DIVISIÓN MÁS CERCANA
+ * Suele ocurrir con islas si la tolerancia de contigüidad es muy baja
+ * @param {Map} asignacion - cde → índice de división (se modifica)
+ */
+function asignarPartidosAislados(asignacion) {
+    const centroides = new Map(allDepartments.map(dept => [dept.properties.cde, L.geoJSON(dept).getBounds().getCenter()]));
+
+    allDepartments.forEach(dept => {
+        const cde = dept.properties.cde;
+        if (asignacion.has(cde)) return;
+
+        let masCercano = null;
+        let menorDistancia = Infinity;
+        asignacion.forEach((division, otro) => {
+            const distancia = centroides.get(cde).distanceTo(centroides.get(otro));
+            if (distancia < menorDistancia) {
+                menorDistancia = distancia;
+                masCercano = division;
+            }
+        });
+        asignacion.set(cde, masCercano);
+        console.warn(`⚠️ ${dept.properties.nam} no tiene vecinos alcanzables; se asigna por cercanía`);
+    });
+}
+
+// =============================================
+// AJUSTE LOCAL DEL EQUILIBRIO
+// =============================================
+
+/**
+ * DESVÍO MÁXIMO DE LAS DIVISIONES RESPECTO DEL VALOR IDEAL
+ * @param {Array<number>} pesos - Peso por división
+ * @param {number} ideal - Peso ideal (total / cantidad de divisiones)
+ * @returns {number} - Desvío máximo, en porcentaje del ideal
+ */
+function desvioMaximo(pesos, ideal) {
+    if (ideal === 0) return 0;
+    return Math.max(...pesos.map(peso => Math.abs(peso - ideal))) / ideal * 100;
+}
+
+/**
+ * MUEVE O INTERCAMBIA PARTIDOS DE BORDE MIENTRAS MEJORE EL EQUILIBRIO
+ * El objetivo es la suma de los desvíos al cuadrado respecto del valor ideal.
+ * Solo se aceptan cambios que no aumentan las piezas de ninguna división
+ * (una división contigua sigue contigua) y que no dejan divisiones vacías.
+ * @param {Map} asignacion - cde → índice de división (se modifica)
+ * @param {number} cantidad - Cantidad de divisiones
+ * @param {string} variable - Variable a equilibrar
+ * @param {Function} random - Generador con semilla (orden de exploración)
+ * @param {Object} opciones - {fijos: Set de CDE que no se mueven, intercambios: bool, maxPasadas: number}
+ * @returns {Array<Object>} - Pasos realizados: {partidos: [{cde, origen, destino}], desvioAntes, desvioDespues}
+ */
+function ajustarEquilibrio(asignacion, cantidad, variable, random, opciones = {}) {
+    const fijos = opciones.fijos || new Set();
+    const maxPasadas = opciones.maxPasadas || 50;
+
+    const grafo = getAdjacencyGraph();
+    const pesos = pesosPorDivision(asignacion, cantidad, variable);
+    const ideal = pesos.reduce((a, b) => a + b, 0) / cantidad;
+    const tamaños = new Array(cantidad).fill(0);
+    asignacion.forEach(division => tamaños[division]++);
+    const pasos = [];
+
+    const costo = (division, delta) => (pesos[division] + delta - ideal) ** 2;
+
+    // Aplica los cambios si no fragmentan ninguna división; si no, los revierte
+    const intentar = (cambios) => {
+        const divisiones = new Set(cambios.flatMap(c => [c.origen, c.destino]));
+        const piezasAntes = new Map(Array.from(divisiones).map(d => [d, contarPiezasEnAsignacion(asignacion, d)]));
+
+        cambios.forEach(c => asignacion.set(c.cde, c.destino));
+        const fragmenta = Array.from(divisiones).some(d => contarPiezasEnAsignacion(asignacion, d) > piezasAntes.get(d));
+        if (fragmenta) {
+            cambios.forEach(c => asignacion.set(c.cde, c.origen));
+            return false;
+        }
+
+        const desvioAntes = desvioMaximo(pesos, ideal);
+        cambios.forEach(c => {
+            const valor = valorPartido(c.cde, variable);
+            pesos[c.origen] -= valor;
+            pesos[c.destino] += valor;
+            tamaños[c.origen]--;
+            tamaños[c.destino]++;
+        });
+        pasos.push({ partidos: cambios, desvioAntes: desvioAntes, desvioDespues: desvioMaximo(pesos, ideal) });
+        return true;
+    };
+
+    // Pares (partido de borde, división vecina) en orden aleatorio
+    const bordes = () => {
+        const pares = [];
+        asignacion.forEach((origen, cde) => {
+            if (fijos.has(cde)) return;
+            const vecinas = new Set();
+            grafo.get(cde).forEach(vecino => {
+                const destino = asignacion.get(vecino);
+                if (destino !== undefined && destino !== origen) vecinas.add(destino);
+            });
+            vecinas.forEach(destino => pares.push({ cde, origen, destino }));
+        });
+        return shuffleWithRandom(pares, random);
+    };
+
+    const moverPartido = ({ cde, origen, destino }) => {
+        if (asignacion.get(cde) !== origen || tamaños[origen] <= 1) return false;
+
+        const valor = valorPartido(cde, variable);
+        const antes = costo(origen, 0) + costo(destino, 0);
+        const despues = costo(origen, -valor) + costo(destino, valor);
+        if (despues >= antes - 1e-9) return false;
+
+        return intentar([{ cde, origen, destino }]);
+    };
+
+    const intercambiarPartidos = ({ cde, origen, destino }) => {
+        if (asignacion.get(cde) !== origen) return false;
+
+        const valor = valorPartido(cde, variable);
+        const antes = costo(origen, 0) + costo(destino, 0);
+
+        // Candidatos: partidos de la división vecina que tocan la división de origen
+        for (const otro of grafo.get(cde)) {
+            if (asignacion.get(otro) !== destino || fijos.has(otro)) continue;
+
+            const delta = valorPartido(otro, variable) - valor;
+            if (costo(origen, delta) + costo(destino, -delta) >= antes - 1e-9) continue;
+
+            const cambios = [
+                { cde: cde, origen: origen, destino: destino },
+                { cde: otro, origen: destino, destino: origen }
+            ];
+            if (intentar(cambios)) return true;
+        }
+        return false;
+    };
+
+    for (let pasada = 0; pasada < maxPasadas; pasada++) {
+        let mejoró = false;
+        bordes().forEach(par => {
+            if (moverPartido(par)) mejoró = true;
+        });
+
+        // Los intercambios solo se prueban cuando ya no queda ningún movimiento simple
+        if (!mejoró && opciones.intercambios) {
+            bordes().forEach(par => {
+                if (intercambiarPartidos(par)) mejoró = true;
+            });
+        }
+
+        if (!mejoró) break;
+    }
+
+    return pasos;
+}
+
+/**
+ * GENERA UNA DIVISIÓN AUTOMÁTICA EN N DIVISIONES CONTIGUAS
+ * @param {number} cantidad - Cantidad de divisiones
+ * @param {string} variable - Variable a equilibrar ('poblacion_total', 'superficie', ...)
+ * @param {number} semilla - Semilla para reproducir el resultado
+ * @param {Map} fijos - cde → índice de división de los partidos fijados (opcional)
+ * @returns {Map|null} - cde → índice de división, o null si alguna división no puede tener semilla
+ */
+function generarParticionAutomatica(cantidad, variable, semilla, fijos = new Map()) {
+    const random = createSeededRandom(semilla);
+    const semillas = elegirSemillas(cantidad, random, fijos);
+    if (!semillas) return null;
+    const asignacion = crecerDivisiones(semillas, variable, random);
+    asignarPartidosAislados(asignacion);
+    ajustarEquilibrio(asignacion, cantidad, variable, random, {
+        fijos: new Set(fijos.keys()),
+        intercambios: true
+    });
+    return asignacion;
+}
+
+// =============================================
+// AGRUPAMIENTO GEOGRÁFICO (K-MEDIAS / K-MEDOIDES)
+// =============================================
+
+/**
+ * PROYECTA LOS CENTROIDES DE LOS PARTIDOS A COORDENADAS PLANAS EN KM
+ * @param {boolean} ponderar - Si se usa la población como peso (si no, todos pesan 1)
+ * @returns {Array<Object>} - [{cde, x, y, peso}]
+ */
+function proyectarCentroides(ponderar) {
+    const coordenadas = allDepartments.map(dept => obtenerCentroidePartido(dept).geometry.coordinates);
+    const latMedia = coordenadas.reduce((suma, [, lat]) => suma + lat, 0) / coordenadas.length;
+    const kmPorGradoLat = 111.32;
+    const kmPorGradoLon = kmPorGradoLat * Math.cos(latMedia * Math.PI / 180);
+
+    return allDepartments.map((dept, index) => ({
+        cde: dept.properties.cde,
+        x: coordenadas[index][0] * kmPorGradoLon,
+        y: coordenadas[index][1] * kmPorGradoLat,
+        // Un partido sin dato no puede pesar 0: quedaría fuera del cálculo de los centros
+        peso: ponderar ? Math.max(valorPartido(dept.properties.cde, 'poblacion_total'), 1) : 1
+    }));
+}
+
+/**
+ * CUADRADO DE LA DISTANCIA ENTRE DOS PUNTOS PLANOS
+ * @param {Object} a - {x, y}
+ * @param {Object} b - {x, y}
+ * @returns {number} - Distancia al cuadrado (km²)
+ */
+function distanciaCuadrada(a, b) {
+    return (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+}
+
+/**
+ * ELIGE LOS PUNTOS INICIALES DE CADA GRUPO (k-means++)
+ * Las divisiones con partidos fijados parten de uno de ellos; las demás eligen puntos
+ * libres con probabilidad proporcional al cuadrado de la distancia al centro más cercano
+ * @param {Array<Object>} puntos - Resultado de proyectarCentroides()
+ * @param {number} cantidad - Cantidad de grupos
+ * @param {Function} random - Generador creado por createSeededRandom
+ * @param {Map} fijos - cde → índice de división de los partidos fijados
+ * @returns {Array<number>|null} - Índice del punto inicial de cada grupo, o null si
+ *   no quedan partidos libres para todas las divisiones sin partidos fijados
+ */
+function elegirCentrosIniciales(puntos, cantidad, random, fijos) {
+    const centros = new Array(cantidad).fill(null);
+    puntos.forEach((punto, index) => {
+        if (fijos.has(punto.cde) && centros[fijos.get(punto.cde)] === null) {
+            centros[fijos.get(punto.cde)] = index;
+        }
+    });
+
+    const libres = puntos.map((_, index) => index).filter(index => !fijos.has(puntos[index].cde));
+    if (centros.filter(centro => centro === null).length > libres.length) return null;
+
+    for (let grupo = 0; grupo < cantidad; grupo++) {
+        if (centros[grupo] !== null) continue;
+
+        const elegidos = centros.filter(centro => centro !== null);
+        if (elegidos.length === 0) {
+            centros[grupo] = libres[Math.floor(random() * libres.length)];
+            continue;
+        }
+
+        const distancias = libres.map(index =>
+            Math.min(...elegidos.map(centro => distanciaCuadrada(puntos[index], puntos[centro]))));
+        let resto = random() * distancias.reduce((a, b) => a + b, 0);
+        let k = 0;
+        while (k < libres.length - 1 && resto >= distancias[k]) {
+            resto -= distancias[k];
+            k++;
+        }
+        centros[grupo] = libres[k];
+    }
+
+    return centros;
+}
+
+/**
+ * ASIGNA CADA PUNTO AL CENTRO MÁS CERCANO
+ * @param {Array<Object>} puntos - Puntos proyectados
+ * @param {Array<Object>} centros - {x, y} de cada grupo
+ * @param {Map} fijos - cde → índice de división de los partidos fijados
+ * @returns {Array<number>} - Grupo de cada punto
+ */
+function asignarAlCentroMasCercano(puntos, centros, fijos) {
+    return puntos.map(punto => {
+        if (fijos.has(punto.cde)) return fijos.get(punto.cde);
+
+        let mejor = 0;
+        centros.forEach((centro, grupo) => {
+            if (distanciaCuadrada(punto, centro) < distanciaCuadrada(punto, centros[mejor])) mejor = grupo;
+        });
+        return mejor;
+    });
+}
+
+/**
+ * K-MEDIAS PONDERADO (algoritmo de Lloyd)
+ * Cada centro es el promedio ponderado de sus partidos
+ * @param {Array<Object>} puntos - Puntos proyectados
+ * @param {Array<number>} iniciales - Índice del punto inicial de cada grupo
+ * @param {Map} fijos - cde → índice de división de los partidos fijados
+ * @returns {Array<number>} - Grupo de cada punto
+ */
+function agruparKMedias(puntos, iniciales, fijos) {
+    let centros = iniciales.map(index => ({ x: puntos[index].x, y: puntos[index].y }));
+    let etiquetas = null;
+
+    for (let iteracion = 0; iteracion < 100; iteracion++) {
+        const nuevas = asignarAlCentroMasCercano(puntos, centros, fijos);
+        if (etiquetas && nuevas.every((grupo, index) => grupo === etiquetas[index])) break;
+        etiquetas = nuevas;
+
+        centros = centros.map((centro, grupo) => {
+            let sumaX = 0, sumaY = 0, sumaPesos = 0;
+            puntos.forEach((punto, index) => {
+                if (etiquetas[index] !== grupo) return;
+                sumaX += punto.peso * punto.x;
+                sumaY += punto.peso * punto.y;
+                sumaPesos += punto.peso;
+            });
+            if (sumaPesos > 0) return { x: sumaX / sumaPesos, y: sumaY / sumaPesos };
+
+            // Grupo vacío: se reubica en el partido libre más alejado de su centro actual
+            let lejano = null;
+            puntos.forEach((punto, index) => {
+                if (fijos.has(punto.cde)) return;
+                const distancia = distanciaCuadrada(punto, centros[etiquetas[index]]);
+                if (!lejano || distancia > lejano.distancia) lejano = { punto, distancia };
+            });
+            return lejano ? { x: lejano.punto.x, y: lejano.punto.y } : centro;
+        });
+    }
+
+    return etiquetas;
+}
+
+/**
+ * K-MEDOIDES PONDERADO (iteración de Voronoi)
+ * Cada grupo se representa por el partido que minimiza la suma de distancias
+ * ponderadas al resto de sus partidos, así el centro siempre es un partido real
+ * @param {Array<Object>} puntos - Puntos proyectados
+ * @param {Array<number>} iniciales - Índice del punto inicial de cada grupo
+ * @param {Map} fijos - cde → índice de división de los partidos fijados
+ * @returns {Array<number>} - Grupo de cada punto
+ */
+function agruparKMedoides(puntos, iniciales, fijos) {
+    let medoides = iniciales.slice();
+    let etiquetas = [];
+
+    for (let iteracion = 0; iteracion < 100; iteracion++) {
+        etiquetas = asignarAlCentroMasCercano(puntos, medoides.map(index => puntos[index]), fijos);
+
+        const nuevos = medoides.map((medoide, grupo) => {
+            const miembros = puntos.map((_, index) => index).filter(index => etiquetas[index] === grupo);
+            let mejor = { index: medoide, costo: Infinity };
+            miembros.forEach(candidato => {
+                const costo = miembros.reduce((suma, index) =>
+                    suma + puntos[index].peso * Math.sqrt(distanciaCuadrada(puntos[candidato], puntos[index])), 0);
+                if (costo < mejor.costo) mejor = { index: candidato, costo };
+            });
+            return mejor.index;
+        });
+
+        if (nuevos.every((medoide, grupo) => medoide === medoides[grupo])) break;
+        medoides = nuevos;
+    }
+
+    return etiquetas;
+}
+
+/**
+ * GENERA UN BORRADOR AGRUPANDO LOS CENTROIDES DE LOS PARTIDOS
+ * Produce grupos compactos; no garantiza contigüidad ni equilibrio
+ * @param {number} cantidad - Cantidad de divisiones
+ * @param {string} metodo - 'kmedias' o 'kmedoides'
+ * @param {boolean} ponderar - Ponderar cada partido por su población
+ * @param {number} semilla - Semilla para reproducir el resultado
+ * @param {Map} fijos - cde → índice de división de los partidos fijados (opcional)
+ * @returns {Map|null} - cde → índice de división, o null si alguna división no puede tener centro
+ */
+function generarAgrupamientoGeografico(cantidad, metodo, ponderar, semilla, fijos = new Map()) {
+    const puntos = proyectarCentroides(ponderar);
+    const iniciales = elegirCentrosIniciales(puntos, cantidad, createSeededRandom(semilla), fijos);
+    if (!iniciales) return null;
+    const etiquetas = metodo === 'kmedoides'
+        ? agruparKMedoides(puntos, iniciales, fijos)
+        : agruparKMedias(puntos, iniciales, fijos);
+
+    return new Map(puntos.map((punto, index) => [punto.cde, etiquetas[index]]));
+}
+
+// =============================================
+// CONTROLES DE LA INTERFAZ
+// =============================================
+
+/**
+ * CARGA LAS VARIABLES SUMABLES EN EL SELECTOR DE VARIABLE A EQUILIBRAR
+ * @param {string} selectId - ID del selector a completar
+ */
+function populateBalanceVariableSelect(selectId) {
+    const select = document.getElementById(selectId);
+    select.innerHTML = '';
+    if (!partidosData || !partidosData.variables) return;
+
+    Object.keys(partidosData.variables).forEach(variable => {
+        const meta = partidosData.variables[variable];
+        if (meta.operacion !== 'suma') return;
+
+        const option = document.createElement('option');
+        option.value = variable;
+        option.textContent = meta.nombre;
+        select.appendChild(option);
+    });
+
+    if (partidosData.variables.poblacion_total) {
+        select.value = 'poblacion_total';
+    }
+}
+
+/**
+ * EJECUTA LA DIVISIÓN AUTOMÁTICA CON LOS VALORES DE LOS CONTROLES
+ * El resultado se carga en las cajas de división igual que las regiones existentes
+ */
+function runAutomaticPartition() {
+    const metodo = document.getElementById('auto-method').value;
+    const variable = document.getElementById('auto-variable').value;
+    const semilla = parseInt(document.getElementById('auto-seed').value);
+    const cantidad = parseInt(document.getElementById('division-count').value);
+
+    if (!variable && metodo === 'contigua') {
+        alert('No hay datos cargados para equilibrar las divisiones');
+        return;
+    }
+    if (isNaN(semilla)) {
+        alert('Ingrese una semilla numérica');
+        return;
+    }
+
+    // Los partidos fijados conservan su división
+    const fijos = new Map();
+    lockedDepartments.forEach(deptName => {
+        const groupId = parseInt(getDepartmentGroupId(deptName));
+        if (groupId <= cantidad) fijos.set(getDepartmentCode(deptName), groupId - 1);
+    });
+
+    let asignacion;
+    let etiqueta;
+    if (metodo === 'contigua') {
+        console.log(`🎲 División automática: ${cantidad} divisiones, variable ${variable}, semilla ${semilla}`);
+        asignacion = generarParticionAutomatica(cantidad, variable, semilla, fijos);
+        etiqueta = `División automática (semilla ${semilla})`;
+    } else {
+        const ponderar = document.getElementById('auto-weighted').checked;
+        const nombreMetodo = metodo === 'kmedoides' ? 'k-medoides' : 'k-medias';
+        console.log(`🎲 Borrador ${nombreMetodo}: ${cantidad} grupos, ${ponderar ? 'ponderado por población' : 'sin ponderar'}, semilla ${semilla}`);
+        asignacion = generarAgrupamientoGeografico(cantidad, metodo, ponderar, semilla, fijos);
+        etiqueta = `Borrador ${nombreMetodo} (semilla ${semilla})`;
+    }
+
+    // Cada división sin partidos fijados necesita un partido libre como punto de partida
+    if (!asignacion) {
+        alert('No quedan partidos sin fijar para iniciar todas las divisiones. Desfije algún partido o reduzca la cantidad de divisiones.');
+        return;
+    }
+
+    setHistoryLabel(etiqueta);
+
+    const { regiones, nombresRegiones } = asignacionARegiones(asignacion, cantidad);
+    applyRegions(regiones, nombresRegiones);
+}
+
+/**
+ * OBTIENE LA ASIGNACIÓN DEL PLAN ACTUAL
+ * @returns {Map} - cde → índice de división (los partidos sin asignar no aparecen)
+ */
+function asignacionActual() {
+    const asignacion = new Map();
+    for (let i = 1; i <= currentDivisionCount; i++) {
+        if (!departmentGroups[i]) continue;
+        departmentGroups[i].departments.forEach(deptName => {
+            const cde = getDepartmentCode(deptName);
+            if (cde) asignacion.set(cde, i - 1);
+        });
+    }
+    return asignacion;
+}
+
+/**
+ * ARMA LA TABLA CON EL REGISTRO PASO A PASO DE LA MEJORA
+ * @param {Array<Object>} pasos - Pasos devueltos por ajustarEquilibrio()
+ * @returns {HTMLElement} - Tabla con un paso por fila
+ */
+function buildBalanceLogTable(pasos) {
+    const nombreDivision = indice => departmentGroups[indice + 1].name;
+
+    const tabla = document.createElement('table');
+    tabla.innerHTML = '<thead><tr><th>Paso</th><th>Cambio</th><th>Desvío máximo</th></tr></thead>';
+    const cuerpo = document.createElement('tbody');
+
+    pasos.forEach((paso, index) => {
+        const descripcion = paso.partidos
+            .map(c => `${escapeHTML(getDepartmentNameByCode(c.cde))}: ${escapeHTML(nombreDivision(c.origen))} → ${escapeHTML(nombreDivision(c.destino))}`)
+            .join('<br>');
+
+        const fila = document.createElement('tr');
+        fila.innerHTML = `
+            <td>${index + 1}</td>
+            <td>${paso.partidos.length > 1 ? 'Intercambio<br>' : ''}${descripcion}</td>
+            <td>${paso.desvioAntes.toFixed(1)}% → ${paso.desvioDespues.toFixed(1)}%</td>
+        `;
+        cuerpo.appendChild(fila);
+    });
+
+    tabla.appendChild(cuerpo);
+    return tabla;
+}
+
+/**
+ * MEJORA EL EQUILIBRIO DEL PLAN ACTUAL SIN REEMPLAZARLO
+ * Mueve o intercambia partidos de borde entre divisiones vecinas, respetando
+ * la contigüidad y los partidos fijados; muestra el registro antes de aplicar
+ */
+function improveCurrentPlanBalance() {
+    const variable = document.getElementById('auto-variable').value;
+    const semilla = parseInt(document.getElementById('auto-seed').value) || 0;
+    const cantidad = currentDivisionCount;
+
+    if (!variable) {
+        alert('No hay datos cargados para equilibrar las divisiones');
+        return;
+    }
+
+    const asignacion = asignacionActual();
+    if (asignacion.size === 0) {
+        alert('No hay partidos asignados a las divisiones');
+        return;
+    }
+
+    const fijos = new Set(Array.from(lockedDepartments).map(getDepartmentCode).filter(Boolean));
+    const ideal = pesosPorDivision(asignacion, cantidad, variable).reduce((a, b) => a + b, 0) / cantidad;
+    const desvioInicial = desvioMaximo(pesosPorDivision(asignacion, cantidad, variable), ideal);
+
+    const pasos = ajustarEquilibrio(asignacion, cantidad, variable, createSeededRandom(semilla), {
+        fijos: fijos,
+        intercambios: true
+    });
+
+    if (pasos.length === 0) {
+        alert('No se encontraron movimientos de borde que mejoren el equilibrio sin romper la contigüidad');
+        return;
+    }
+
+    const desvioFinal = desvioMaximo(pesosPorDivision(asignacion, cantidad, variable), ideal);
+    console.log(`⚖️ Mejora de equilibrio: ${pasos.length} pasos, desvío máximo ${desvioInicial.toFixed(1)}% → ${desvioFinal.toFixed(1)}%`);
+
+    const contenido = document.createElement('div');
+    const resumen = document.createElement('p');
+    resumen.textContent = `${pasos.length} pasos. Desvío máximo respecto del ideal: ` +
+        `${desvioInicial.toFixed(1)}% → ${desvioFinal.toFixed(1)}%` +
+        (fijos.size > 0 ? ` (${fijos.size} partidos fijados sin mover)` : '');
+    contenido.appendChild(resumen);
+    contenido.appendChild(buildBalanceLogTable(pasos));
+
+    openModal('Mejorar equilibrio', contenido, [
+        { texto: 'Cancelar' },
+        {
+            texto: 'Aplicar cambios',
+            clase: 'primary',
+            accion: () => {
+                const plan = getCurrentPlan();
+                plan.divisiones.forEach(division => { division.cdes = []; });
+                allDepartments.forEach(dept => {
+                    const cde = dept.properties.cde;
+                    if (asignacion.has(cde)) plan.divisiones[asignacion.get(cde)].cdes.push(cde);
+                });
+
+                setHistoryLabel('Mejorar equilibrio');
+                applyPlan(plan);
+            }
+        }
+    ]);
+}
+
+/**
+ * CONFIGURA LOS CONTROLES DE DIVISIÓN AUTOMÁTICA
+ */
+function setupAutomaticPartition() {
+    populateBalanceVariableSelect('auto-variable');
+
+    // Cada método muestra solo sus opciones: variable a equilibrar o ponderación por población
+    const metodo = document.getElementById('auto-method');
+    const mostrarOpciones = () => {
+        const contigua = metodo.value === 'contigua';
+        document.getElementById('auto-variable-control').hidden = !contigua;
+        document.getElementById('auto-weighted-control').hidden = contigua;
+    };
+    metodo.addEventListener('change', mostrarOpciones);
+    mostrarOpciones();
+
+    document.getElementById('auto-generate-btn').addEventListener('click', runAutomaticPartition);
+    document.getElementById('improve-balance-btn').addEventListener('click', improveCurrentPlanBalance);
+    document.getElementById('auto-random-seed-btn').addEventListener('click', () => {
+        document.getElementById('auto-seed').value = Math.floor(Math.random() * 100000);
+    });
+}
@@ -0,0 +1,191 @@
+/*
+ * MÓDULO DE ENLACES COMPARTIBLES - plan-link.js
+ *
+ * Responsabilidades:
+ * - Codificar el plan actual en el hash de la URL (#plan=...)
+ * - Reconstruir el plan al abrir un enlace compartido
+ * - Informar claramente los enlaces inválidos o desactualizados
+ *
+ * Formato compacto del hash (campos separados por ';'):
+ *   #plan=1;<cantidad>;<nombre>,<color>,<cdes>;<nombre>,<color>,<cdes>;...
+ * - <nombre> va codificado con encodeURIComponent
+ * - <color> es el hexadecimal sin '#'
+ * - <cdes> son los códigos separados por '.', sin el prefijo provincial '06'
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+const planHashPrefix = '#plan=';
+const planLinkVersion = '1';
+const provinceCodePrefix = '06';
+
+// =============================================
+// CODIFICACIÓN Y DECODIFICACIÓN
+// =============================================
+
+/**
+ * CODIFICA UN PLAN EN EL FORMATO COMPACTO DEL HASH
+ * @param {Object} plan - Plan con el formato de getCurrentPlan()
+ * @returns {string} - Texto para colocar después de '#plan='
+ */
+function encodePlanForUrl(plan) {
+    const divisiones = plan.divisiones.map(division => {
+        const acortar = cde => cde.startsWith(provinceCodePrefix) ? cde.slice(provinceCodePrefix.length) : cde;
+        const campos = [
+            encodeURIComponent(division.nombre),
+            (division.color || '').replace('#', ''),
+            division.cdes.map(acortar).join('.')
+        ];
+        // La cabecera va en un cuarto campo opcional, así los enlaces anteriores siguen siendo válidos
+        if (division.cabecera) campos.push(acortar(division.cabecera));
+        return campos.join(',');
+    });
+
+    return [planLinkVersion, plan.cantidad_divisiones, ...divisiones].join(';');
+}
+
+/**
+ * DECODIFICA EL TEXTO DEL HASH A UN PLAN
+ * @param {string} encoded - Texto posterior a '#plan='
+ * @returns {Object} - Plan con el formato de getCurrentPlan()
+ * @throws {Error} - Si el texto no respeta el formato esperado
+ */
+function decodePlanFromUrl(encoded) {
+    const partes = encoded.split(';');
+    const [version, cantidad, ...divisiones] = partes;
+
+    if (version !== planLinkVersion) {
+        throw new Error(`Versión de enlace no reconocida: "${version}"`);
+    }
+
+    const count = Number(cantidad);
+    if (!Number.isInteger(count)) {
+        throw new Error(`Cantidad de divisiones inválida: "${cantidad}"`);
+    }
+
+    return {
+        version_estructura: planSchemaVersion,
+        cantidad_divisiones: count,
+        divisiones: divisiones.map((texto, index) => {
+            const campos = texto.split(',');
+            if (campos.length !== 3 && campos.length !== 4) {
+                throw new Error(`La división ${index + 1} está incompleta`);
+            }
+
+            const [nombre, color, codigos, cabecera] = campos;
+            const completar = codigo => codigo.length === 3 ? provinceCodePrefix + codigo : codigo;
+            if (color && !/^[0-9a-fA-F]{6}$/.test(color)) {
+                throw new Error(`Color inválido en la división ${index + 1}: "${color}"`);
+            }
+
+            return {
+                nombre: decodeURIComponent(nombre),
+                color: color ? `#${color}` : null,
+                cdes: codigos ? codigos.split('.').map(completar) : [],
+                cabecera: cabecera ? completar(cabecera) : null
+            };
+        })
+    };
+}
+
+// =============================================
+// LECTURA Y ESCRITURA DE LA URL
+// =============================================
+
+/**
+ * OBTIENE EL PLAN CODIFICADO EN EL HASH DE LA URL
+ * @returns {string|null} - Texto posterior a '#plan=' o null si no hay plan
+ */
+function getPlanHashFromUrl() {
+    const hash = window.location.hash;
+    return hash.startsWith(planHashPrefix) ? hash.slice(planHashPrefix.length) : null;
+}
+
+/**
+ * ARMA EL ENLACE COMPLETO PARA EL PLAN ACTUAL
+ * @returns {string} - URL absoluta con el plan en el hash
+ */
+function buildPlanLink() {
+    const base = window.location.href.split('#')[0];
+    return base + planHashPrefix + encodePlanForUrl(getCurrentPlan());
+}
+
+/**
+ * RECONSTRUYE EL PLAN CODIFICADO EN LA URL, SI LO HAY
+ * Se llama desde main.js cuando ya se cargó el GeoJSON
+ */
+function applyPlanFromUrl() {
+    const encoded = getPlanHashFromUrl();
+    if (!encoded) return;
+
+    let plan;
+    try {
+        plan = decodePlanFromUrl(encoded);
+    } catch (error) {
+        console.error('❌ Enlace de plan inválido:', error);
+        alert(`El enlace no contiene un plan válido.\n${error.message}`);
+        clearPlanHash();
+        return;
+    }
+
+    const errores = validatePlan(plan);
+
+    if (!isValidDivisionCount(plan.cantidad_divisiones)) {
+        alert(`No se puede abrir el plan del enlace:\n- ${errores.join('\n- ')}`);
+        clearPlanHash();
+        return;
+    }
+
+    if (errores.length > 0) {
+        const continuar = confirm(
+            'El enlace parece desactualizado o dañado:\n- ' + errores.join('\n- ') +
+            '\n\n¿Cargar igualmente el resto del plan?'
+        );
+        if (!continuar) {
+            clearPlanHash();
+            return;
+        }
+    }
+
+    setHistoryLabel('Abrir enlace compartido');
+    applyPlan(plan);
+    console.log('🔗 Plan cargado desde el enlace');
+
+    // El plan ya está en pantalla: al recargar debe primar el autoguardado
+    clearPlanHash();
+}
+
+/**
+ * QUITA EL PLAN DEL HASH SIN RECARGAR LA PÁGINA
+ */
+function clearPlanHash() {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * COPIA EL ENLACE DEL PLAN ACTUAL AL PORTAPAPELES
+ * Si el navegador no lo permite, muestra el enlace para copiarlo a mano
+ */
+function copyPlanLink() {
+    const link = buildPlanLink();
+
+    if (navigator.clipboard && window.isSecureContext) {
+        navigator.clipboard.writeText(link)
+            .then(() => alert('Enlace copiado al portapapeles'))
+            .catch(() => prompt('Copie el enlace del plan:', link));
+    } else {
+        prompt('Copie el enlace del plan:', link);
+    }
+}
+
+/**
+ * CONFIGURA EL BOTÓN DE COPIAR ENLACE Y LA NAVEGACIÓN ENTRE ENLACES
+ */
+function setupPlanLink() {
+    document.getElementById('copy-link-btn').addEventListener('click', copyPlanLink);
+
+    // Pegar otro enlace en la misma pestaña también debe cargar el plan
+    window.addEventListener('hashchange', applyPlanFromUrl);
+}
@@ -0,0 +1,532 @@
+/*
+ * MÓDULO DE ALMACENAMIENTO DE PLANES - plan-storage.js
+ *
+ * Responsabilidades:
+ * - Representar el estado de las divisiones como un "plan" serializable
+ * - Aplicar un plan sobre la interfaz (cajas de división y listado)
+ * - Guardar planes con nombre en el almacenamiento del navegador
+ * - Autoguardado silencioso y recuperación de sesiones interrumpidas
+ */
+
+// =============================================
+// CONSTANTES DEL MÓDULO
+// =============================================
+
+// Claves usadas en localStorage
+const savedPlansStorageKey = 'desarmaPBA.planesGuardados';
+const autosaveStorageKey = 'desarmaPBA.autoguardado';
+
+// Versión de la estructura de los planes serializados
+const planSchemaVersion = '1.0';
+
+// Formato aceptado para los colores de división (se insertan en estilos y en HTML)
+const planColorPattern = /^#[0-9a-fA-F]{6}$/;
+
+// =============================================
+// SERIALIZACIÓN Y APLICACIÓN DE PLANES
+// =============================================
+
+/**
+ * OBTIENE EL PLAN ACTUAL A PARTIR DE departmentGroups
+ * Los partidos se guardan por código CDE para no depender de los nombres
+ * @returns {Object} - {version_estructura, cantidad_divisiones, divisiones: [{nombre, color, cdes, cabecera, fijados}]}
+ */
+function getCurrentPlan() {
+    const divisiones = [];
+
+    for (let i = 1; i <= currentDivisionCount; i++) {
+        const group = departmentGroups[i];
+        if (!group) continue;
+
+        divisiones.push({
+            nombre: group.name,
+            color: group.color,
+            cdes: group.departments
+                .map(deptName => getDepartmentCode(deptName))
+                .filter(cde => cde !== null && cde !== undefined),
+            cabecera: group.capital ? getDepartmentCode(group.capital) : null,
+            fijados: group.departments
+                .filter(deptName => lockedDepartments.has(deptName))
+                .map(deptName => getDepartmentCode(deptName))
+        });
+    }
+
+    return {
+        version_estructura: planSchemaVersion,
+        cantidad_divisiones: currentDivisionCount,
+        divisiones: divisiones
+    };
+}
+
+/**
+ * CONVIERTE REGIONES CON EL FORMATO DE regiones_existentes.json EN UN PLAN
+ * Una región por división, con sus departamentos identificados por CDE
+ * @param {Object} regiones - {nombreRegion: [{cde, municipio_nombre}, ...]}
+ * @param {Array<string>} nombresRegiones - Regiones a incluir, en el orden de las divisiones
+ * @param {Object} colores - {nombreRegion: '#rrggbb'} (opcional)
+ * @returns {Object} - Plan con el formato de getCurrentPlan()
+ */
+function regionsToPlan(regiones, nombresRegiones, colores = {}) {
+    return {
+        version_estructura: planSchemaVersion,
+        cantidad_divisiones: nombresRegiones.length,
+        divisiones: nombresRegiones.map((nombreRegion, index) => ({
+            nombre: nombreRegion,
+            color: colores[nombreRegion] || divisionColors[index] || '#3388ff',
+            cdes: regiones[nombreRegion].map(depto => depto.cde)
+        }))
+    };
+}
+
+/**
+ * APLICA UN PLAN SOBRE LA INTERFAZ
+ * Reconstruye las cajas de división con sus nombres, colores y partidos,
+ * y devuelve al listado principal todos los partidos no asignados.
+ * Los partidos fijados salen del plan si los trae (historial, planes guardados);
+ * si no, se conservan los fijados actuales que sigan en la misma división
+ * @param {Object} plan - Plan con el formato de getCurrentPlan()
+ */
+function applyPlan(plan) {
+    if (polygonMode) deactivatePolygonMode();
+    setHistoryLabel('Aplicar plan');
+    clearAllSelections();
+
+    const count = plan.cantidad_divisiones;
+
+    // initializeDivisionBoxes notifica con las divisiones vacías, lo que descartaría las fijaciones.
+    // Nombre del partido fijado → número de la división a la que estaba fijado
+    const fijadosAnteriores = new Map();
+    lockedDepartments.forEach(deptName => fijadosAnteriores.set(deptName, parseInt(getDepartmentGroupId(deptName))));
+    const fijados = new Set();
+
+    // Vaciar las divisiones actuales para que no se arrastren partidos al recrear las cajas
+    departmentGroups = {};
+    document.getElementById('division-count').value = count;
+    initializeDivisionBoxes(count);
+
+    // Ubicar cada partido en su división
+    const assignedCodes = new Set();
+    plan.divisiones.slice(0, count).forEach((division, index) => {
+        const groupId = index + 1;
+        const group = departmentGroups[groupId];
+
+        group.name = division.nombre || group.name;
+        group.color = planColorPattern.test(division.color) ? division.color : group.color;
+
+        const groupBox = document.querySelector(`[data-group-id="${groupId}"]`);
+        groupBox.style.borderLeft = `4px solid ${group.color}`;
+        groupBox.querySelector('.editable-division-name').textContent = group.name;
+
+        const divisionList = document.getElementById(`division-${groupId}`);
+        (division.cdes || []).forEach(cde => {
+            const dept = getDepartmentByCode(cde);
+            if (!dept || assignedCodes.has(cde)) {
+                console.warn(`⚠️ Partido ignorado al aplicar el plan: ${cde}`);
+                return;
+            }
+            assignedCodes.add(cde);
+            divisionList.appendChild(createDepartmentItem(dept.properties.nam, cde));
+
+            const fijado = Array.isArray(division.fijados)
+                ? division.fijados.includes(cde)
+                : fijadosAnteriores.get(dept.properties.nam) === groupId;
+            if (fijado) fijados.add(dept.properties.nam);
+        });
+
+        // La cabecera es opcional y solo vale si es uno de los partidos de la división
+        group.capital = division.cabecera && (division.cdes || []).includes(division.cabecera)
+            ? getDepartmentNameByCode(division.cabecera)
+            : null;
+    });
+
+    // El listado principal queda solo con los partidos sin asignar
+    populateDepartmentsList(allDepartments.filter(dept => !assignedCodes.has(dept.properties.cde)));
+    lockedDepartments = fijados;
+
+    // Un plan aplicado ya no corresponde a una región existente
+    document.getElementById('existing-regions').value = '';
+    currentRegionType = null;
+
+    notifyStateChange();
+}
+
+/**
+ * VALIDA UN PLAN ANTES DE APLICARLO
+ * Detecta cantidades de divisiones fuera de rango, códigos CDE desconocidos,
+ * partidos repetidos (en la misma división o en dos divisiones distintas)
+ * y colores que no tienen el formato #rrggbb
+ * @param {Object} plan - Plan serializado
+ * @returns {Array<string>} - Lista de problemas encontrados (vacía si es válido)
+ */
+function validatePlan(plan) {
+    const errores = [];
+    const count = plan.cantidad_divisiones;
+
+    if (!isValidDivisionCount(count)) {
+        errores.push(`La cantidad de divisiones (${count}) debe estar entre 1 y ${getMaxDivisionCount()}`);
+    } else if (plan.divisiones.length > count) {
+        errores.push(`El plan tiene ${plan.divisiones.length} divisiones pero declara ${count}`);
+    }
+
+    // Código CDE → nombre de la división donde apareció por primera vez
+    const ubicaciones = new Map();
+
+    plan.divisiones.forEach((division, index) => {
+        const nombreDivision = division.nombre || `División ${index + 1}`;
+
+        if (division.color && !planColorPattern.test(division.color)) {
+            errores.push(`Color inválido en "${nombreDivision}": ${division.color}`);
+        }
+
+        (division.cdes || []).forEach(cde => {
+            const nombrePartido = getDepartmentNameByCode(cde);
+            if (!nombrePartido) {
+                errores.push(`Código CDE desconocido en "${nombreDivision}": ${cde}`);
+                return;
+            }
+
+            if (ubicaciones.has(cde)) {
+                const anterior = ubicaciones.get(cde);
+                errores.push(anterior === nombreDivision
+                    ? `${nombrePartido} (${cde}) aparece dos veces en "${nombreDivision}"`
+                    : `${nombrePartido} (${cde}) aparece en "${anterior}" y en "${nombreDivision}"`);
+                return;
+            }
+            ubicaciones.set(cde, nombreDivision);
+        });
+
+        if (division.cabecera && !(division.cdes || []).includes(division.cabecera)) {
+            errores.push(`La cabecera de "${nombreDivision}" (${division.cabecera}) no es uno de sus partidos`);
+        }
+    });
+
+    return errores;
+}
+
+/**
+ * CUENTA LOS PARTIDOS ASIGNADOS EN UN PLAN
+ * @param {Object} plan - Plan serializado
+ * @returns {number} - Cantidad de partidos en alguna división
+ */
+function countPlanDepartments(plan) {
+    return plan.divisiones.reduce((total, division) => total + (division.cdes || []).length, 0);
+}
+
+// =============================================
+// PLANES GUARDADOS CON NOMBRE
+// =============================================
+
+/**
+ * LEE TODOS LOS PLANES GUARDADOS EN EL NAVEGADOR
+ * @returns {Object} - {nombre: {guardado: fechaISO, plan}}
+ */
+function readSavedPlans() {
+    try {
+        return JSON.parse(localStorage.getItem(savedPlansStorageKey)) || {};
+    } catch (error) {
+        console.error('❌ Error leyendo los planes guardados:', error);
+        return {};
+    }
+}
+
+/**
+ * ESCRIBE LOS PLANES GUARDADOS EN EL NAVEGADOR
+ * @param {Object} plans - Planes indexados por nombre
+ * @returns {boolean} - True si se pudo guardar
+ */
+function writeSavedPlans(plans) {
+    try {
+        localStorage.setItem(savedPlansStorageKey, JSON.stringify(plans));
+        return true;
+    } catch (error) {
+        console.error('❌ Error guardando los planes:', error);
+        alert('No se pudo guardar en el almacenamiento del navegador. Verifica la consola para más detalles.');
+        return false;
+    }
+}
+
+/**
+ * PIDE UN NOMBRE DE PLAN AL USUARIO
+ * Valida que no esté vacío y confirma si se va a sobrescribir uno existente
+ * @param {string|null} message - Texto del cuadro de diálogo (null si el nombre ya fue ingresado)
+ * @param {string} defaultName - Nombre sugerido o ya ingresado
+ * @returns {string|null} - Nombre elegido o null si se canceló
+ */
+function promptPlanName(message, defaultName) {
+    const input = message === null ? defaultName : prompt(message, defaultName);
+    if (input === null) return null;
+
+    const name = input.trim();
+    if (!name) {
+        alert('El nombre del plan no puede estar vacío');
+        return null;
+    }
+
+    if (readSavedPlans()[name] && !confirm(`Ya existe un plan llamado "${name}". ¿Desea reemplazarlo?`)) {
+        return null;
+    }
+
+    return name;
+}
+
+/**
+ * GUARDA EL PLAN ACTUAL CON UN NOMBRE
+ */
+function saveCurrentPlan() {
+    const selectedName = document.getElementById('saved-plans').value;
+    const name = promptPlanName('Nombre del plan:', selectedName || `Plan ${new Date().toLocaleDateString('es-AR')}`);
+    if (!name) return;
+
+    const plans = readSavedPlans();
+    plans[name] = {
+        guardado: new Date().toISOString(),
+        plan: getCurrentPlan()
+    };
+
+    if (writeSavedPlans(plans)) {
+        refreshSavedPlansPicker(name);
+        console.log(`💾 Plan guardado: ${name}`);
+    }
+}
+
+/**
+ * CARGA EL PLAN SELECCIONADO EN EL SELECTOR
+ */
+function loadSelectedPlan() {
+    const name = document.getElementById('saved-plans').value;
+    const entry = readSavedPlans()[name];
+    if (!entry) {
+        alert('Seleccione un plan guardado');
+        return;
+    }
+
+    setHistoryLabel(`Cargar plan "${name}"`);
+    applyPlan(entry.plan);
+    console.log(`📂 Plan cargado: ${name}`);
+}
+
+/**
+ * DUPLICA EL PLAN SELECCIONADO CON OTRO NOMBRE
+ */
+function duplicateSelectedPlan() {
+    const name = document.getElementById('saved-plans').value;
+    const plans = readSavedPlans();
+    if (!plans[name]) {
+        alert('Seleccione un plan guardado');
+        return;
+    }
+
+    const newName = promptPlanName('Nombre de la copia:', `${name} (copia)`);
+    if (!newName) return;
+
+    plans[newName] = {
+        guardado: new Date().toISOString(),
+        plan: JSON.parse(JSON.stringify(plans[name].plan))
+    };
+
+    if (writeSavedPlans(plans)) {
+        refreshSavedPlansPicker(newName);
+    }
+}
+
+/**
+ * RENOMBRA EL PLAN SELECCIONADO
+ */
+function renameSelectedPlan() {
+    const name = document.getElementById('saved-plans').value;
+    const plans = readSavedPlans();
+    if (!plans[name]) {
+        alert('Seleccione un plan guardado');
+        return;
+    }
+
+    const input = prompt('Nuevo nombre del plan:', name);
+    if (input === null || input.trim() === name) return;
+
+    const newName = promptPlanName(null, input);
+    if (!newName) return;
+
+    plans[newName] = plans[name];
+    delete plans[name];
+
+    if (writeSavedPlans(plans)) {
+        refreshSavedPlansPicker(newName);
+    }
+}
+
+/**
+ * ELIMINA EL PLAN SELECCIONADO (previa confirmación)
+ */
+function deleteSelectedPlan() {
+    const name = document.getElementById('saved-plans').value;
+    const plans = readSavedPlans();
+    if (!plans[name]) {
+        alert('Seleccione un plan guardado');
+        return;
+    }
+
+    if (!confirm(`¿Eliminar el plan "${name}"? Esta acción no se puede deshacer.`)) return;
+
+    delete plans[name];
+    if (writeSavedPlans(plans)) {
+        refreshSavedPlansPicker();
+    }
+}
+
+/**
+ * RECONSTRUYE LAS OPCIONES DEL SELECTOR DE PLANES GUARDADOS
+ * @param {string} selectedName - Plan a dejar seleccionado (opcional)
+ */
+function refreshSavedPlansPicker(selectedName = '') {
+    const picker = document.getElementById('saved-plans');
+    const plans = readSavedPlans();
+
+    picker.innerHTML = '<option value="">-- Seleccione un plan --</option>';
+
+    Object.keys(plans)
+        .sort((a, b) => a.localeCompare(b))
+        .forEach(name => {
+            const option = document.createElement('option');
+            const fecha = new Date(plans[name].guardado).toLocaleString('es-AR');
+            option.value = name;
+            option.textContent = `${name} (${fecha})`;
+            picker.appendChild(option);
+        });
+
+    picker.value = plans[selectedName] ? selectedName : '';
+}
+
+// =============================================
+// AUTOGUARDADO Y RECUPERACIÓN
+// =============================================
+
+/**
+ * GUARDA SILENCIOSAMENTE EL PLAN ACTUAL
+ * Se llama después de cada notifyStateChange(). Si el plan quedó vacío por
+ * "Reestablecer valores", se guarda también el plan anterior para poder recuperarlo
+ */
+function autosavePlan() {
+    if (!autosaveEnabled) return;
+
+    const plan = getCurrentPlan();
+    const entry = {
+        guardado: new Date().toISOString(),
+        plan: plan
+    };
+
+    if (countPlanDepartments(plan) > 0) {
+        // Se volvió a trabajar sobre el plan: el reestablecimiento ya no se ofrece deshacer
+        planBeforeReset = null;
+    } else if (planBeforeReset) {
+        entry.antes_de_reestablecer = planBeforeReset;
+    }
+
+    try {
+        localStorage.setItem(autosaveStorageKey, JSON.stringify(entry));
+    } catch (error) {
+        // El autoguardado nunca debe interrumpir al usuario
+        console.warn('⚠️ No se pudo autoguardar el plan:', error);
+    }
+}
+
+/**
+ * RECUERDA EL PLAN ACTUAL ANTES DE "REESTABLECER VALORES"
+ * Si se reestablece dos veces seguidas, se conserva el último plan con partidos
+ */
+function rememberPlanBeforeReset() {
+    const plan = getCurrentPlan();
+    if (countPlanDepartments(plan) > 0) {
+        planBeforeReset = plan;
+    }
+}
+
+/**
+ * LEE LA ÚLTIMA SESIÓN AUTOGUARDADA QUE SE PUEDE RECUPERAR
+ * Es el plan autoguardado si tiene partidos asignados, o el plan previo
+ * a "Reestablecer valores" si la sesión terminó justo después de reestablecer
+ * @returns {Object|null} - {guardado: fechaISO, plan, reestablecido: boolean}, o null si no hay nada
+ */
+function readAutosavedSession() {
+    let entry = null;
+    try {
+        entry = JSON.parse(localStorage.getItem(autosaveStorageKey));
+    } catch (error) {
+        console.warn('⚠️ Autoguardado ilegible, se descarta:', error);
+    }
+    if (!entry) return null;
+
+    if (entry.plan && countPlanDepartments(entry.plan) > 0) {
+        return { guardado: entry.guardado, plan: entry.plan, reestablecido: false };
+    }
+    if (entry.antes_de_reestablecer && countPlanDepartments(entry.antes_de_reestablecer) > 0) {
+        return { guardado: entry.guardado, plan: entry.antes_de_reestablecer, reestablecido: true };
+    }
+    return null;
+}
+
+/**
+ * OFRECE RESTAURAR LA ÚLTIMA SESIÓN AUTOGUARDADA
+ * Solo pregunta si hay un plan con partidos asignados para recuperar
+ */
+function offerAutosaveRecovery() {
+    const entry = readAutosavedSession();
+    if (!entry) return;
+
+    const fecha = new Date(entry.guardado).toLocaleString('es-AR');
+    const cantidad = countPlanDepartments(entry.plan);
+    const mensaje = entry.reestablecido
+        ? `El ${fecha} se reestablecieron los valores de un plan con ${cantidad} partidos asignados.\n¿Desea recuperar ese plan?`
+        : `Se encontró una sesión sin guardar del ${fecha} con ${cantidad} partidos asignados.\n¿Desea restaurarla?`;
+    if (confirm(mensaje)) {
+        applyPlan(entry.plan);
+        console.log('♻️ Sesión anterior restaurada');
+    }
+}
+
+/**
+ * OFRECE GUARDAR CON NOMBRE LA SESIÓN AUTOGUARDADA ANTES DE ABRIR UN ENLACE
+ * El plan del enlace reemplazará al autoguardado en cuanto se aplique
+ */
+function offerAutosaveBackup() {
+    const entry = readAutosavedSession();
+    if (!entry) return;
+
+    const fecha = new Date(entry.guardado).toLocaleString('es-AR');
+    const cantidad = countPlanDepartments(entry.plan);
+    if (!confirm(`El enlace reemplazará la sesión sin guardar del ${fecha} con ${cantidad} partidos asignados.\n¿Desea guardarla como plan antes de abrir el enlace?`)) {
+        return;
+    }
+
+    const name = promptPlanName('Nombre del plan para la sesión anterior:', `Sesión del ${fecha}`);
+    if (!name) return;
+
+    const plans = readSavedPlans();
+    plans[name] = { guardado: entry.guardado, plan: entry.plan };
+    if (writeSavedPlans(plans)) {
+        refreshSavedPlansPicker(name);
+        console.log(`💾 Sesión anterior guardada como: ${name}`);
+    }
+}
+
+/**
+ * CONFIGURA LOS CONTROLES DE PLANES GUARDADOS Y EL AUTOGUARDADO
+ */
+function setupPlanStorage() {
+    document.getElementById('save-plan-btn').addEventListener('click', saveCurrentPlan);
+    document.getElementById('load-plan-btn').addEventListener('click', loadSelectedPlan);
+    document.getElementById('duplicate-plan-btn').addEventListener('click', duplicateSelectedPlan);
+    document.getElementById('rename-plan-btn').addEventListener('click', renameSelectedPlan);
+    document.getElementById('delete-plan-btn').addEventListener('click', deleteSelectedPlan);
+
+    refreshSavedPlansPicker();
+
+    // Recuperar la sesión antes de habilitar el autoguardado, para no pisarla.
+    // Un enlace compartido tiene prioridad, pero antes se ofrece conservar la sesión anterior.
+    if (getPlanHashFromUrl()) {
+        offerAutosaveBackup();
+    } else {
+        offerAutosaveRecovery();
+    }
+    autosaveEnabled = true;
+    autosavePlan();
+}
@@ -0,0 +1,215 @@
+/*
+ * MÓDULO DE CONCORDANCIA CON REGIONES EXISTENTES - region-agreement.js
+ *
+ * Responsabilidades:
+ * - Cruzar el plan actual con una regionalización existente (secciones electorales,
+ *   regiones sanitarias) en una matriz de contingencia de partidos y población
+ * - Resumir la concordancia con el índice de Rand ajustado y la variación de información
+ * - Destacar, para cada división, la región existente con la que más se superpone
+ */
+
+// =============================================
+// MATRIZ DE CONTINGENCIA
+// =============================================
+
+/**
+ * CRUZA LAS DIVISIONES DE UN PLAN CON LAS REGIONES EXISTENTES
+ * Solo cuentan los partidos asignados en el plan que figuran en alguna región
+ * @param {Object} plan - Plan con el formato de getCurrentPlan()
+ * @param {Object} regiones - {nombreRegion: [{cde, municipio_nombre}, ...]}
+ * @returns {Object} - {divisiones, regiones: [nombres], partidos: [[n]], poblacion: [[p]], total}
+ */
+function calcularMatrizContingencia(plan, regiones) {
+    const nombresRegiones = Object.keys(regiones).sort();
+
+    // cde → índice de la región existente
+    const regionPorCodigo = new Map();
+    nombresRegiones.forEach((nombreRegion, indice) => {
+        regiones[nombreRegion].forEach(depto => regionPorCodigo.set(depto.cde, indice));
+    });
+
+    const codigos = plan.divisiones.map(() => nombresRegiones.map(() => []));
+    plan.divisiones.forEach((division, fila) => {
+        division.cdes.forEach(cde => {
+            if (regionPorCodigo.has(cde)) codigos[fila][regionPorCodigo.get(cde)].push(cde);
+        });
+    });
+
+    const partidos = codigos.map(fila => fila.map(celda => celda.length));
+    return {
+        divisiones: plan.divisiones.map((division, index) => division.nombre || `División ${index + 1}`),
+        regiones: nombresRegiones,
+        partidos: partidos,
+        poblacion: codigos.map(fila => fila.map(celda => calcularTotalCodigos(celda, 'poblacion_total'))),
+        total: partidos.flat().reduce((a, b) => a + b, 0)
+    };
+}
+
+// =============================================
+// ÍNDICES DE CONCORDANCIA
+// =============================================
+
+/**
+ * SUMA LAS FILAS Y LAS COLUMNAS DE UNA MATRIZ
+ * @param {Array<Array<number>>} matriz - Matriz de conteos
+ * @returns {Object} - {filas: [sumas], columnas: [sumas]}
+ */
+function sumarMarginales(matriz) {
+    const columnas = matriz.length > 0 ? matriz[0].map(() => 0) : [];
+    const filas = matriz.map(fila => {
+        fila.forEach((valor, j) => { columnas[j] += valor; });
+        return fila.reduce((a, b) => a + b, 0);
+    });
+    return { filas, columnas };
+}
+
+/**
+ * CALCULA EL ÍNDICE DE RAND AJUSTADO (Hubert y Arabie)
+ * Proporción de pares de partidos en los que ambas particiones coinciden (juntos o
+ * separados), corregida por azar: 1 = particiones idénticas, ~0 = concordancia casual
+ * @param {Array<Array<number>>} matriz - Conteos de partidos por división × región
+ * @returns {number|null} - Índice, o null si no está definido (menos de dos partidos)
+ */
+function calcularRandAjustado(matriz) {
+    const pares = n => n * (n - 1) / 2;
+    const { filas, columnas } = sumarMarginales(matriz);
+    const n = filas.reduce((a, b) => a + b, 0);
+    if (n < 2) return null;
+
+    const indice = matriz.flat().reduce((suma, valor) => suma + pares(valor), 0);
+    const paresFilas = filas.reduce((suma, valor) => suma + pares(valor), 0);
+    const paresColumnas = columnas.reduce((suma, valor) => suma + pares(valor), 0);
+    const esperado = paresFilas * paresColumnas / pares(n);
+    const maximo = (paresFilas + paresColumnas) / 2;
+
+    // Ambas particiones triviales (todo junto o todo separado): coinciden por completo
+    if (maximo === esperado) return 1;
+    return (indice - esperado) / (maximo - esperado);
+}
+
+/**
+ * CALCULA LA VARIACIÓN DE INFORMACIÓN (Meilă), EN BITS
+ * VI = H(división | región) + H(región | división): cuánta información se pierde y se
+ * gana al pasar de una partición a la otra. Vale 0 si son idénticas y como máximo log2(n)
+ * @param {Array<Array<number>>} matriz - Conteos de partidos por división × región
+ * @returns {number|null} - Variación de información, o null si no hay partidos
+ */
+function calcularVariacionInformacion(matriz) {
+    const { filas, columnas } = sumarMarginales(matriz);
+    const n = filas.reduce((a, b) => a + b, 0);
+    if (n === 0) return null;
+
+    let vi = 0;
+    matriz.forEach((fila, i) => {
+        fila.forEach((valor, j) => {
+            if (valor === 0) return;
+            const p = valor / n;
+            vi -= p * (Math.log2(p / (filas[i] / n)) + Math.log2(p / (columnas[j] / n)));
+        });
+    });
+    return Math.max(0, vi);
+}
+
+// =============================================
+// RESUMEN EN LA INTERFAZ
+// =============================================
+
+/**
+ * ARMA LA TABLA HTML DE LA MATRIZ DE CONTINGENCIA
+ * Cada celda muestra partidos y población; el fondo indica qué parte de la población
+ * de la división cae en esa región y se destaca la mayor superposición de cada fila
+ * @param {Object} matriz - Resultado de calcularMatrizContingencia()
+ * @returns {string} - HTML de la tabla
+ */
+function buildContingencyTable(matriz) {
+    const encabezados = matriz.regiones.map(nombre => `<th>${escapeHTML(nombre)}</th>`).join('');
+
+    const filas = matriz.divisiones.map((nombreDivision, i) => {
+        const poblacionDivision = matriz.poblacion[i].reduce((a, b) => a + b, 0);
+        const mayor = matriz.poblacion[i].indexOf(Math.max(...matriz.poblacion[i]));
+
+        const celdas = matriz.regiones.map((nombreRegion, j) => {
+            const partidos = matriz.partidos[i][j];
+            if (partidos === 0) return '<td class="overlap-empty">-</td>';
+
+            const proporcion = poblacionDivision > 0 ? matriz.poblacion[i][j] / poblacionDivision : 0;
+            const porcentaje = (proporcion * 100).toFixed(1).replace('.', ',');
+            const clase = j === mayor ? ' class="overlap-max"' : '';
+            return `<td${clase} style="background-color:rgba(52,152,219,${(0.1 + 0.6 * proporcion).toFixed(2)})" ` +
+                `title="${porcentaje}% de la población de ${escapeHTML(nombreDivision)} está en ${escapeHTML(nombreRegion)}">` +
+                `<strong>${partidos}</strong><span>${formatearNumero(matriz.poblacion[i][j])} hab.</span></td>`;
+        }).join('');
+
+        return `<tr><td>${escapeHTML(nombreDivision)}</td>${celdas}</tr>`;
+    }).join('');
+
+    return `
+        <div class="table-container">
+            <table class="agreement-table">
+                <thead><tr><th>División \\ Región</th>${encabezados}</tr></thead>
+                <tbody>${filas}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * ACTUALIZA EL BLOQUE DE CONCORDANCIA CON LAS REGIONES EXISTENTES
+ * Se llama desde notifyStateChange() junto con la tabla comparativa
+ */
+function updateRegionAgreement() {
+    const contenedor = document.getElementById('agreement-summary-content');
+    const regiones = regionesExistentes && regionesExistentes[agreementRegionType];
+
+    if (!regiones) {
+        contenedor.innerHTML = '<p class="balance-empty">No hay datos de regiones existentes cargados.</p>';
+        return;
+    }
+
+    const matriz = calcularMatrizContingencia(getCurrentPlan(), regiones);
+    if (matriz.total === 0) {
+        contenedor.innerHTML = '<p class="balance-empty">Asigne partidos a las divisiones para compararlas con las regiones existentes.</p>';
+        return;
+    }
+
+    const ari = calcularRandAjustado(matriz.partidos);
+    const vi = calcularVariacionInformacion(matriz.partidos);
+    const formatoIndice = (valor, decimales) => valor === null ? '-' : valor.toFixed(decimales).replace('.', ',');
+
+    contenedor.innerHTML = `
+        ${buildContingencyTable(matriz)}
+        <dl class="balance-indicators">
+            <div title="1 = mismas agrupaciones; cerca de 0 = coincidencia esperable por azar; negativo = menos que el azar">
+                <dt>Índice de Rand ajustado</dt><dd>${formatoIndice(ari, 3)}</dd>
+            </div>
+            <div title="0 = particiones idénticas; el máximo posible es log2 de la cantidad de partidos (${formatoIndice(Math.log2(matriz.total), 2)} bits)">
+                <dt>Variación de información</dt><dd>${formatoIndice(vi, 3)} bits</dd>
+            </div>
+            <div><dt>Partidos comparados</dt><dd>${matriz.total}</dd></div>
+        </dl>
+    `;
+}
+
+/**
+ * CONFIGURA EL SELECTOR DE REGIONALIZACIÓN A COMPARAR
+ * Ofrece las mismas regiones que el selector de regiones existentes
+ */
+function setupRegionAgreement() {
+    const select = document.getElementById('agreement-region');
+
+    document.querySelectorAll('#existing-regions option').forEach(option => {
+        if (!option.value) return;
+        const opcion = document.createElement('option');
+        opcion.value = option.value;
+        opcion.textContent = option.textContent;
+        select.appendChild(opcion);
+    });
+    select.value = agreementRegionType;
+
+    select.addEventListener('change', function() {
+        agreementRegionType = this.value;
+        updateRegionAgreement();
+    });
+
+    updateRegionAgreement();
+}
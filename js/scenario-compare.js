@@ -0,0 +1,407 @@
+/*
+ * MÓDULO DE COMPARACIÓN DE ESCENARIOS - scenario-compare.js
+ *
+ * Responsabilidades:
+ * - Comparar dos planes: el actual, planes guardados o regiones existentes
+ * - Dos mapas sincronizados que resaltan los partidos que cambian de división
+ * - Tabla combinada con las métricas de ambos planes
+ * - Listado de partidos cuya división cambia entre un plan y otro
+ */
+
+// =============================================
+// ESCENARIOS DISPONIBLES
+// =============================================
+
+/**
+ * RECONSTRUYE LAS OPCIONES DE LOS SELECTORES DE ESCENARIO
+ * Conserva la elección previa si sigue disponible
+ */
+function refreshScenarioOptions() {
+    const opciones = [{ value: 'actual', texto: 'Plan actual' }];
+
+    if (regionesExistentes) {
+        document.querySelectorAll('#existing-regions option').forEach(option => {
+            if (option.value && regionesExistentes[option.value]) {
+                opciones.push({ value: `region:${option.value}`, texto: option.textContent });
+            }
+        });
+    }
+
+    Object.keys(readSavedPlans()).sort((a, b) => a.localeCompare(b)).forEach(nombre => {
+        opciones.push({ value: `guardado:${nombre}`, texto: `Plan guardado: ${nombre}` });
+    });
+
+    ['scenario-a', 'scenario-b'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        const anterior = select.value;
+        select.innerHTML = '';
+        opciones.forEach(opcion => {
+            const option = document.createElement('option');
+            option.value = opcion.value;
+            option.textContent = opcion.texto;
+            select.appendChild(option);
+        });
+        if (opciones.some(opcion => opcion.value === anterior)) {
+            select.value = anterior;
+        }
+    });
+}
+
+/**
+ * OBTIENE EL PLAN CORRESPONDIENTE A UNA OPCIÓN DEL SELECTOR
+ * @param {string} valor - 'actual', 'region:<tipo>' o 'guardado:<nombre>'
+ * @returns {Object|null} - {nombre, plan} o null si ya no existe
+ */
+function resolveScenario(valor) {
+    if (valor === 'actual') {
+        return { nombre: 'Plan actual', plan: getCurrentPlan() };
+    }
+
+    if (valor.startsWith('region:')) {
+        const tipo = valor.slice('region:'.length);
+        const regiones = regionesExistentes && regionesExistentes[tipo];
+        if (!regiones) return null;
+        const option = document.querySelector(`#existing-regions option[value="${tipo}"]`);
+        return {
+            nombre: option ? option.textContent : tipo,
+            plan: regionsToPlan(regiones, Object.keys(regiones).sort())
+        };
+    }
+
+    if (valor.startsWith('guardado:')) {
+        const nombre = valor.slice('guardado:'.length);
+        const entry = readSavedPlans()[nombre];
+        return entry ? { nombre: nombre, plan: entry.plan } : null;
+    }
+
+    return null;
+}
+
+// =============================================
+// DIFERENCIAS ENTRE PLANES
+// =============================================
+
+/**
+ * INDEXA UN PLAN POR CÓDIGO CDE
+ * @param {Object} plan - Plan serializado
+ * @returns {Map} - cde → índice de la división (0, 1, ...)
+ */
+function planAssignmentsByCode(plan) {
+    const asignaciones = new Map();
+    plan.divisiones.forEach((division, index) => {
+        division.cdes.forEach(cde => asignaciones.set(cde, index));
+    });
+    return asignaciones;
+}
+
+/**
+ * EMPAREJA LAS DIVISIONES DE DOS PLANES SEGÚN SU SUPERPOSICIÓN
+ * Como los planes pueden tener nombres y órdenes distintos, cada división de A
+ * se asocia a la división de B con la que comparte más partidos (uno a uno)
+ * @param {Object} planA - Primer plan
+ * @param {Object} planB - Segundo plan
+ * @returns {Map} - índice de división en A → índice de división en B
+ */
+function matchPlanDivisions(planA, planB) {
+    const asignacionesB = planAssignmentsByCode(planB);
+
+    // Superposición entre cada par de divisiones (cantidad de partidos compartidos)
+    const pares = [];
+    planA.divisiones.forEach((division, indexA) => {
+        const conteos = new Map();
+        division.cdes.forEach(cde => {
+            if (asignacionesB.has(cde)) {
+                const indexB = asignacionesB.get(cde);
+                conteos.set(indexB, (conteos.get(indexB) || 0) + 1);
+            }
+        });
+        conteos.forEach((cantidad, indexB) => pares.push({ indexA, indexB, cantidad }));
+    });
+
+    // Asignación voraz: primero los pares con mayor superposición
+    pares.sort((a, b) => b.cantidad - a.cantidad);
+    const emparejamiento = new Map();
+    const usadasB = new Set();
+    pares.forEach(par => {
+        if (!emparejamiento.has(par.indexA) && !usadasB.has(par.indexB)) {
+            emparejamiento.set(par.indexA, par.indexB);
+            usadasB.add(par.indexB);
+        }
+    });
+
+    return emparejamiento;
+}
+
+/**
+ * CALCULA LOS PARTIDOS QUE CAMBIAN DE DIVISIÓN ENTRE DOS PLANES
+ * @param {Object} planA - Primer plan
+ * @param {Object} planB - Segundo plan
+ * @returns {Array<Object>} - [{cde, nombre, divisionA, divisionB}] ordenado por nombre
+ */
+function computePlanDiff(planA, planB) {
+    const asignacionesA = planAssignmentsByCode(planA);
+    const asignacionesB = planAssignmentsByCode(planB);
+    const emparejamiento = matchPlanDivisions(planA, planB);
+    const sinAsignar = 'Sin asignar';
+
+    const cambios = [];
+    allDepartments.forEach(dept => {
+        const cde = dept.properties.cde;
+        const indexA = asignacionesA.has(cde) ? asignacionesA.get(cde) : null;
+        const indexB = asignacionesB.has(cde) ? asignacionesB.get(cde) : null;
+
+        const iguales = indexA === null
+            ? indexB === null
+            : indexB !== null && emparejamiento.get(indexA) === indexB;
+
+        if (!iguales) {
+            cambios.push({
+                cde: cde,
+                nombre: dept.properties.nam,
+                divisionA: indexA === null ? sinAsignar : planA.divisiones[indexA].nombre,
+                divisionB: indexB === null ? sinAsignar : planB.divisiones[indexB].nombre
+            });
+        }
+    });
+
+    return cambios.sort((a, b) => a.nombre.localeCompare(b.nombre));
+}
+
+// =============================================
+// MAPAS SINCRONIZADOS
+// =============================================
+
+/**
+ * CREA LOS DOS MAPAS DE COMPARACIÓN Y SINCRONIZA SU VISTA
+ */
+function initializeComparisonMaps() {
+    const crearMapa = (containerId) => {
+        const mapa = L.map(containerId, { zoomSnap: 0.25 });
+        createBaseTileLayer().addTo(mapa);
+        mapa.fitBounds(geoJsonLayer.getBounds(), { padding: [10, 10] });
+        return { map: mapa, layer: null };
+    };
+
+    comparisonMaps = {
+        a: crearMapa('compare-map-a'),
+        b: crearMapa('compare-map-b')
+    };
+
+    // Mover uno de los mapas mueve el otro (la bandera evita el rebote infinito)
+    let sincronizando = false;
+    const sincronizar = (origen, destino) => {
+        origen.on('move', () => {
+            if (sincronizando) return;
+            sincronizando = true;
+            destino.setView(origen.getCenter(), origen.getZoom(), { animate: false });
+            sincronizando = false;
+        });
+    };
+    sincronizar(comparisonMaps.a.map, comparisonMaps.b.map);
+    sincronizar(comparisonMaps.b.map, comparisonMaps.a.map);
+}
+
+/**
+ * DIBUJA UN PLAN EN UNO DE LOS MAPAS DE COMPARACIÓN
+ * Los partidos que cambian de división se resaltan con borde rojo
+ * @param {Object} mapaComparacion - {map, layer}
+ * @param {Object} plan - Plan a dibujar
+ * @param {Set<string>} cambiados - Códigos CDE de los partidos que cambian
+ */
+function drawComparisonPlan(mapaComparacion, plan, cambiados) {
+    if (mapaComparacion.layer) {
+        mapaComparacion.map.removeLayer(mapaComparacion.layer);
+    }
+
+    const asignaciones = planAssignmentsByCode(plan);
+
+    mapaComparacion.layer = L.geoJSON(allDepartments, {
+        style: feature => {
+            const cde = feature.properties.cde;
+            const division = asignaciones.has(cde) ? plan.divisiones[asignaciones.get(cde)] : null;
+            const cambia = cambiados.has(cde);
+            return {
+                fillColor: division ? division.color : '#3388ff',
+                fillOpacity: division ? (cambia ? 0.85 : 0.45) : 0,
+                color: cambia ? '#e74c3c' : (division ? 'white' : '#2c3e50'),
+                weight: cambia ? 3 : 1,
+                opacity: 1
+            };
+        },
+        onEachFeature: (feature, layer) => {
+            const cde = feature.properties.cde;
+            const division = asignaciones.has(cde) ? plan.divisiones[asignaciones.get(cde)].nombre : 'Sin asignar';
+            layer.bindTooltip(`<strong>${escapeHTML(feature.properties.nam)}</strong><br>${escapeHTML(division)}`, {
+                direction: 'auto',
+                className: 'map-tooltip'
+            });
+        }
+    }).addTo(mapaComparacion.map);
+
+    // Los partidos que cambian quedan por encima para que su borde se vea completo
+    mapaComparacion.layer.eachLayer(layer => {
+        if (cambiados.has(layer.feature.properties.cde)) layer.bringToFront();
+    });
+}
+
+// =============================================
+// TABLA COMBINADA Y LISTADO DE CAMBIOS
+// =============================================
+
+/**
+ * OBTIENE LAS MÉTRICAS DE CADA DIVISIÓN DE UN PLAN
+ * Mismas variables que la tabla comparativa principal
+ * @param {Object} plan - Plan serializado
+ * @returns {Array<Object>} - [{etiqueta, valores, formato}]
+ */
+function getPlanMetricRows(plan) {
+    const filas = [{
+        etiqueta: 'Cantidad de partidos',
+        valores: plan.divisiones.map(division => division.cdes.length),
+        formato: valor => String(valor)
+    }];
+
+    if (partidosData && partidosData.datos) {
+        const codigosPorDivision = plan.divisiones.map(division => division.cdes);
+        filas.push(...construirFilasVariables(codigosPorDivision));
+
+        const crecimiento = construirFilaCrecimiento(codigosPorDivision);
+        if (crecimiento) filas.push(crecimiento);
+
+        filas.push(...construirFilasCabecera(codigosPorDivision, plan.divisiones.map(division => division.cabecera || null)));
+    }
+
+    return filas;
+}
+
+/**
+ * DIBUJA LA TABLA CON LAS MÉTRICAS DE AMBOS PLANES
+ * @param {Object} escenarioA - {nombre, plan}
+ * @param {Object} escenarioB - {nombre, plan}
+ */
+function renderScenarioTable(escenarioA, escenarioB) {
+    const table = document.getElementById('scenario-table');
+    const escenarios = [escenarioA, escenarioB];
+
+    // Primera fila: nombre de cada plan; segunda fila: sus divisiones
+    let encabezadoPlanes = '<tr><th rowspan="2">Variable</th>';
+    let encabezadoDivisiones = '<tr>';
+    escenarios.forEach(escenario => {
+        encabezadoPlanes += `<th colspan="${escenario.plan.divisiones.length}" class="scenario-name">${escapeHTML(escenario.nombre)}</th>`;
+        escenario.plan.divisiones.forEach(division => {
+            // Los planes guardados se leen sin validar: solo se usan colores #rrggbb
+            const color = planColorPattern.test(division.color) ? division.color : '#f8f9fa';
+            encabezadoDivisiones += `<th style="background-color:${color};color:${getContrastColor(color)}">${escapeHTML(division.nombre)}</th>`;
+        });
+    });
+    table.querySelector('thead').innerHTML = encabezadoPlanes + '</tr>' + encabezadoDivisiones + '</tr>';
+
+    const filasA = getPlanMetricRows(escenarioA.plan);
+    const filasB = getPlanMetricRows(escenarioB.plan);
+    table.querySelector('tbody').innerHTML = filasA.map((filaA, index) => {
+        const filaB = filasB[index];
+        const celdas = [
+            ...filaA.valores.map(valor => filaA.formato(valor)),
+            ...filaB.valores.map(valor => filaB.formato(valor))
+        ];
+        return `<tr><td>${escapeHTML(filaA.etiqueta)}</td>${celdas.map(celda => `<td>${celda}</td>`).join('')}</tr>`;
+    }).join('');
+}
+
+/**
+ * DIBUJA EL LISTADO DE PARTIDOS QUE CAMBIAN DE DIVISIÓN
+ * @param {Array<Object>} cambios - Resultado de computePlanDiff
+ */
+function renderScenarioDiff(cambios) {
+    const lista = document.getElementById('scenario-diff-list');
+    document.getElementById('scenario-diff-count').textContent = cambios.length;
+
+    lista.innerHTML = '';
+    if (cambios.length === 0) {
+        lista.innerHTML = '<li class="empty">Los dos planes asignan los partidos de la misma manera</li>';
+        return;
+    }
+
+    cambios.forEach(cambio => {
+        const item = document.createElement('li');
+        item.innerHTML = `<strong>${escapeHTML(cambio.nombre)}</strong>: ${escapeHTML(cambio.divisionA)} → ${escapeHTML(cambio.divisionB)}`;
+
+        // Al hacer clic se centran ambos mapas en el partido
+        item.addEventListener('click', () => {
+            const dept = getDepartmentByCode(cambio.cde);
+            if (dept) comparisonMaps.a.map.fitBounds(L.geoJSON(dept).getBounds(), { maxZoom: 9 });
+        });
+        lista.appendChild(item);
+    });
+}
+
+// =============================================
+// CONTROL DEL PANEL
+// =============================================
+
+/**
+ * ACTUALIZA MAPAS, TABLA Y LISTADO SEGÚN LOS ESCENARIOS ELEGIDOS
+ */
+function updateScenarioComparison() {
+    const escenarioA = resolveScenario(document.getElementById('scenario-a').value);
+    const escenarioB = resolveScenario(document.getElementById('scenario-b').value);
+    if (!escenarioA || !escenarioB) return;
+
+    const cambios = computePlanDiff(escenarioA.plan, escenarioB.plan);
+    const cambiados = new Set(cambios.map(cambio => cambio.cde));
+
+    drawComparisonPlan(comparisonMaps.a, escenarioA.plan, cambiados);
+    drawComparisonPlan(comparisonMaps.b, escenarioB.plan, cambiados);
+    renderScenarioTable(escenarioA, escenarioB);
+    renderScenarioDiff(cambios);
+}
+
+/**
+ * REFRESCA LA COMPARACIÓN SI ESTÁ ABIERTA Y USA EL PLAN ACTUAL
+ * Se llama desde notifyStateChange()
+ */
+function refreshScenarioComparison() {
+    const panel = document.getElementById('scenario-comparison');
+    if (!panel || panel.hidden || !comparisonMaps) return;
+
+    const usaPlanActual = ['scenario-a', 'scenario-b'].some(id => document.getElementById(id).value === 'actual');
+    if (usaPlanActual) updateScenarioComparison();
+}
+
+/**
+ * ABRE EL PANEL DE COMPARACIÓN
+ * Por defecto compara el plan actual con las secciones electorales
+ */
+function openScenarioComparison() {
+    const panel = document.getElementById('scenario-comparison');
+    panel.hidden = false;
+
+    refreshScenarioOptions();
+    const selectorB = document.getElementById('scenario-b');
+    if (selectorB.value === 'actual' && selectorB.options.length > 1) {
+        selectorB.value = selectorB.options[1].value;
+    }
+
+    // Leaflet necesita el contenedor visible para calcular el tamaño de los mapas
+    if (!comparisonMaps) {
+        initializeComparisonMaps();
+    } else {
+        comparisonMaps.a.map.invalidateSize();
+        comparisonMaps.b.map.invalidateSize();
+    }
+
+    updateScenarioComparison();
+    panel.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * CONFIGURA EL BOTÓN Y LOS CONTROLES DE LA COMPARACIÓN DE ESCENARIOS
+ */
+function setupScenarioComparison() {
+    document.getElementById('compare-btn').addEventListener('click', openScenarioComparison);
+    document.getElementById('close-compare-btn').addEventListener('click', () => {
+        document.getElementById('scenario-comparison').hidden = true;
+    });
+    document.getElementById('scenario-a').addEventListener('change', updateScenarioComparison);
+    document.getElementById('scenario-b').addEventListener('change', updateScenarioComparison);
+}
@@ -31,7 +31,17 @@ function setupDivisionSelector() {
     
     selector.addEventListener('change', function() {
         const newCount = parseInt(this.value);
+        
+        // No se pueden eliminar divisiones que tengan partidos fijados
+        const fijados = getLockedDepartmentsBeyond(newCount);
+        if (fijados.length > 0) {
+            alert(`No se puede reducir a ${newCount} divisiones: hay partidos fijados en las divisiones que se eliminarían (${fijados.join(', ')}).\nDesfíjelos primero.`);
+            this.value = currentDivisionCount;
+            return;
+        }
+        
         if (newCount !== currentDivisionCount) {
+            setHistoryLabel(`Cambiar a ${newCount} divisiones`);
             initializeDivisionBoxes(newCount);
             // Si estamos en modo región existente, deseleccionar al cambiar divisiones
             if (currentRegionType) {
@@ -42,6 +52,75 @@ function setupDivisionSelector() {
     });
 }
 
+/**
+ * CONFIGURA EL CAMPO DE TOLERANCIA DE CONTIGÜIDAD
+ * Permite unir partidos separados por islas o huecos en la costa
+ */
+function setupContiguityControl() {
+    const input = document.getElementById('contiguity-tolerance');
+    input.value = contiguityToleranceKm;
+    
+    input.addEventListener('change', function() {
+        const tolerancia = parseFloat(this.value);
+        if (isNaN(tolerancia) || tolerancia < 0) {
+            this.value = contiguityToleranceKm;
+            return;
+        }
+        setContiguityTolerance(tolerancia);
+    });
+}
+
+/**
+ * CONFIGURA EL SELECTOR DE AÑO CENSAL DE LA TABLA COMPARATIVA
+ * Solo se muestra si datos_partidos.json trae más de un censo
+ */
+function setupCensusYearSelector() {
+    const campo = document.getElementById('census-year-field');
+    const select = document.getElementById('census-year');
+    const anios = obtenerAniosCensales();
+    
+    campo.hidden = anios.length < 2;
+    if (anios.length < 2) return;
+    
+    // Un censo que no cubre a todos los partidos daría totales parciales: se muestra pero no se puede elegir
+    select.innerHTML = anios.map(anio => esCensoCompleto(anio)
+        ? `<option value="${anio}">${anio}</option>`
+        : `<option value="${anio}" disabled>${anio} (datos incompletos)</option>`).join('');
+    select.value = (partidosData.metadata && partidosData.metadata.anio_datos) || anios[anios.length - 1];
+    selectedCensusYear = select.value;
+    
+    select.addEventListener('change', function() {
+        selectedCensusYear = this.value;
+        console.log(`📅 Año censal: ${selectedCensusYear}`);
+        
+        updateComparisonTable();
+        updateBalanceSummary();
+        updateRegionAgreement();
+        if (mapMode === 'variable') refreshMapMode();
+        
+        const panel = document.getElementById('scenario-comparison');
+        if (!panel.hidden && comparisonMaps) updateScenarioComparison();
+    });
+}
+
+/**
+ * OBTIENE LA CANTIDAD MÁXIMA DE DIVISIONES QUE PERMITE EL SELECTOR
+ * @returns {number} - Valor más alto entre las opciones de #division-count
+ */
+function getMaxDivisionCount() {
+    const options = document.querySelectorAll('#division-count option');
+    return Math.max(...Array.from(options).map(option => parseInt(option.value)));
+}
+
+/**
+ * VERIFICA SI UNA CANTIDAD DE DIVISIONES ES ADMITIDA POR EL SELECTOR
+ * @param {number} count - Cantidad de divisiones
+ * @returns {boolean} - True si está entre 1 y el máximo del selector
+ */
+function isValidDivisionCount(count) {
+    return Number.isInteger(count) && count >= 1 && count <= getMaxDivisionCount();
+}
+
 /**
  * CONFIGURA EL SELECTOR DE REGIONES EXISTENTES
  * Maneja la carga de secciones electorales y regiones sanitarias
@@ -61,19 +140,64 @@ function setupRegionSelector() {
 }
 
 /**
- * CONFIGURA EL BOTÓN DE POLÍGONO DE SELECCIÓN
- * Activa/desactiva el modo de dibujo de polígonos
+ * CONFIGURA LOS BOTONES DE SELECCIÓN SOBRE EL MAPA
+ * Activa/desactiva el dibujo de polígonos, rectángulos, círculos y lazos,
+ * y los controles del criterio de inclusión
  */
 function setupPolygonButton() {
-    const polygonBtn = document.getElementById('polygon-btn');
+    // Cada botón activa su herramienta; con la misma herramienta activa, la desactiva
+    Object.keys(selectionTools).forEach(herramienta => {
+        document.getElementById(selectionTools[herramienta].boton).addEventListener('click', function() {
+            const mismaHerramienta = polygonMode && selectionTool === herramienta;
+            if (polygonMode) {
+                deactivatePolygonMode();
+            }
+            if (!mismaHerramienta) {
+                activatePolygonMode(herramienta);
+            }
+        });
+    });
     
-    polygonBtn.addEventListener('click', function() {
-        if (polygonMode) {
-            deactivatePolygonMode();
-        } else {
-            activatePolygonMode();
+    // Radio de la herramienta círculo (redibuja el círculo si ya está colocado)
+    const radio = document.getElementById('selection-radius');
+    radio.value = selectionRadiusKm;
+    radio.addEventListener('change', function() {
+        const valor = parseFloat(this.value);
+        if (isNaN(valor) || valor <= 0) {
+            this.value = selectionRadiusKm;
+            return;
+        }
+        selectionRadiusKm = valor;
+        if (polygonMode && selectionTool === 'circulo' && selectionShape) {
+            drawSelectionCircle(polygonPoints[0]);
         }
     });
+    
+    // Criterio de inclusión de los partidos en la forma dibujada
+    const modo = document.getElementById('selection-mode');
+    const umbral = document.getElementById('selection-threshold');
+    const umbralField = document.getElementById('selection-threshold-field');
+    modo.value = selectionMode;
+    umbral.value = selectionThreshold;
+    umbralField.hidden = selectionMode !== 'interseca';
+    
+    modo.addEventListener('change', function() {
+        selectionMode = this.value;
+        umbralField.hidden = selectionMode !== 'interseca';
+        updateShapeSelectionPreview();
+    });
+    umbral.addEventListener('change', function() {
+        const valor = parseFloat(this.value);
+        if (isNaN(valor) || valor < 0 || valor >= 100) {
+            this.value = selectionThreshold;
+            return;
+        }
+        selectionThreshold = valor;
+        updateShapeSelectionPreview();
+    });
+    
+    document.getElementById('confirm-selection-btn').addEventListener('click', confirmShapeSelection);
+    document.getElementById('discard-selection-btn').addEventListener('click', clearShapeSelection);
 }
 
 // =============================================
@@ -108,7 +232,8 @@ function initializeDivisionBoxes(newCount) {
         departmentGroups[i] = { 
             color: color, 
             departments: [],
-            name: defaultName
+            name: defaultName,
+            capital: previousGroups[i] ? previousGroups[i].capital || null : null
         };
 
         const groupBox = document.createElement('div');
@@ -118,6 +243,10 @@ function initializeDivisionBoxes(newCount) {
 
         groupBox.innerHTML = `
             <h3 class="editable-division-name" contenteditable="true">${defaultName}</h3>
+            <label class="division-capital">
+                Cabecera
+                <select class="capital-select" data-group-id="${i}"></select>
+            </label>
             <div class="group-list" id="division-${i}"></div>
         `;
 
@@ -126,8 +255,9 @@ function initializeDivisionBoxes(newCount) {
         // Configurar nombres editables con eventos
         const editableName = groupBox.querySelector('.editable-division-name');
         editableName.addEventListener('blur', function() {
+            setHistoryLabel(`Renombrar "${departmentGroups[i].name}" a "${this.textContent}"`);
             departmentGroups[i].name = this.textContent;
-            updateComparisonTable();
+            notifyStateChange();
             // Salir del modo región existente si se edita el nombre
             if (currentRegionType) {
                 document.getElementById('existing-regions').value = '';
@@ -143,18 +273,20 @@ function initializeDivisionBoxes(newCount) {
             }
         });
         
+        groupBox.querySelector('.capital-select').addEventListener('change', function() {
+            const capital = this.value || null;
+            setHistoryLabel(capital
+                ? `Cabecera de "${departmentGroups[i].name}": ${capital}`
+                : `Quitar la cabecera de "${departmentGroups[i].name}"`);
+            departmentGroups[i].capital = capital;
+            notifyStateChange();
+        });
+        
         // Restaurar departamentos si esta división existía antes
         if (previousGroups[i] && previousGroups[i].departments) {
             const divisionList = document.getElementById(`division-${i}`);
             previousGroups[i].departments.forEach(deptName => {
-                const dept = allDepartments.find(d => d.properties.nam === deptName);
-                const isGBA = dept && gbaCodes.includes(dept.properties.cde);
-                
-                const item = document.createElement('div');
-                item.className = `department-item ${isGBA ? 'gba-department-bold' : ''}`;
-                item.textContent = deptName;
-                item.setAttribute('data-dept-name', deptName);
-                divisionList.appendChild(item);
+                divisionList.appendChild(createDepartmentItem(deptName, getDepartmentCode(deptName)));
             });
         }
     }
@@ -202,6 +334,8 @@ function initializeDragAndDrop() {
         sort: true,        // Permitir reordenamiento interno
         animation: 150,    // Duración de animaciones
         ghostClass: 'dragging', // Clase CSS durante arrastre
+        filter: '.lock-toggle',
+        preventOnFilter: false, // El clic en el candado debe seguir funcionando
         onAdd: function(evt) {
             // Reordenar automáticamente después de agregar elemento
             setTimeout(() => {
@@ -224,6 +358,8 @@ function initializeDragAndDrop() {
                 },
                 animation: 150,
                 ghostClass: 'dragging',
+                filter: '.locked, .lock-toggle', // Los partidos fijados no se arrastran
+                preventOnFilter: false,
                 onEnd: function(evt) {
                     handleDepartmentMove(evt);
                 }
@@ -256,6 +392,22 @@ function handleDepartmentMove(evt) {
         departmentsToMove = [deptName];
     }
 
+    // Los partidos fijados no se mueven, ni solos ni como parte de una selección
+    const fijados = departmentsToMove.filter(deptName => lockedDepartments.has(deptName));
+    if (fijados.length > 0) {
+        console.warn(`🔒 Partidos fijados, no se mueven: ${fijados.join(', ')}`);
+        departmentsToMove = departmentsToMove.filter(deptName => !lockedDepartments.has(deptName));
+
+        if (lockedDepartments.has(draggedItem.getAttribute('data-dept-name')) && draggedItem.parentElement !== fromElement) {
+            fromElement.insertBefore(draggedItem, fromElement.children[evt.oldIndex] || null);
+        }
+    }
+
+    if (departmentsToMove.length === 0) {
+        clearAllSelections();
+        return;
+    }
+
     // Para cada departamento a mover
     departmentsToMove.forEach(deptName => {
         // Encontrar el elemento en cualquier contenedor
@@ -286,6 +438,14 @@ function handleDepartmentMove(evt) {
         }
     });
 
+    // Describir el movimiento para el historial
+    const destino = toElement.id === 'all-departments-list'
+        ? 'el listado'
+        : departmentGroups[toElement.id.replace('division-', '')].name;
+    setHistoryLabel(departmentsToMove.length === 1
+        ? `Mover ${departmentsToMove[0]} a ${destino}`
+        : `Mover ${departmentsToMove.length} partidos seleccionados a ${destino}`);
+
     // Limpiar selección después de mover
     clearAllSelections();
 
@@ -407,18 +567,8 @@ function sortMainList() {
 function returnDepartmentToMainList(departmentName) {
     const listContainer = document.getElementById('all-departments-list');
     
-    // Recuperar datos completos del departamento
-    const dept = allDepartments.find(d => d.properties.nam === departmentName);
-    const isGBA = dept && gbaCodes.includes(dept.properties.cde);
-    
     // Crear elemento para el listado
-    const item = document.createElement('div');
-    item.className = `department-item ${isGBA ? 'gba-department-bold' : ''}`;
-    item.textContent = departmentName;
-    item.setAttribute('data-dept-name', departmentName);
-    item.setAttribute('data-dept-code', dept ? dept.properties.cde : '');
-    
-    listContainer.appendChild(item);
+    listContainer.appendChild(createDepartmentItem(departmentName, getDepartmentCode(departmentName)));
     sortMainList();
 }
 
@@ -431,19 +581,35 @@ function populateDepartmentsList(features) {
     listContainer.innerHTML = '';
     
     features.forEach(feature => {
-        const nombre = feature.properties.nam;
-        const codigo = feature.properties.cde;
-        const isGBA = gbaCodes.includes(codigo);
-        
-        const item = document.createElement('div');
-        item.className = `department-item ${isGBA ? 'gba-department-bold' : ''}`;
-        item.textContent = nombre;
-        item.setAttribute('data-dept-name', nombre);
-        item.setAttribute('data-dept-code', codigo);
-        listContainer.appendChild(item);
+        listContainer.appendChild(createDepartmentItem(feature.properties.nam, feature.properties.cde));
     });
 }
 
+/**
+ * CREA EL ELEMENTO DE LISTA DE UN DEPARTAMENTO
+ * @param {string} nombre - Nombre del departamento
+ * @param {string} codigo - Código CDE del departamento
+ * @returns {HTMLElement} - Elemento .department-item listo para insertar
+ */
+function createDepartmentItem(nombre, codigo) {
+    const isGBA = gbaCodes.includes(codigo);
+    
+    const item = document.createElement('div');
+    item.className = `department-item ${isGBA ? 'gba-department-bold' : ''}`;
+    item.textContent = nombre;
+    item.setAttribute('data-dept-name', nombre);
+    item.setAttribute('data-dept-code', codigo || '');
+    
+    // Candado para fijar el partido a su división (solo visible dentro de una división)
+    const candado = document.createElement('button');
+    candado.type = 'button';
+    candado.className = 'lock-toggle';
+    item.appendChild(candado);
+    setDepartmentItemLocked(item, lockedDepartments.has(nombre));
+    
+    return item;
+}
+
 /**
  * ACTUALIZA EL CONTADOR DE DEPARTAMENTOS RESTANTES EN EL LISTADO
  * Muestra cuántos departamentos quedan disponibles para asignar
@@ -475,56 +641,25 @@ function loadExistingRegions(tipoRegion) {
         return;
     }
 
-    // Guardar el tipo de región actual
-    currentRegionType = tipoRegion;
-
-    // Obtener los nombres de las regiones y ordenarlos
-    const nombresRegiones = Object.keys(regiones).sort();
-    const numeroRegiones = nombresRegiones.length;
-
-    // Actualizar el número de divisiones al número de regiones
-    document.getElementById('division-count').value = numeroRegiones;
-    initializeDivisionBoxes(numeroRegiones);
-
-    // Limpiar el listado principal (todos los departamentos estarán en divisiones)
-    const listContainer = document.getElementById('all-departments-list');
-    listContainer.innerHTML = '';
-
-    // Para cada región, asignar los departamentos correspondientes
-    nombresRegiones.forEach((nombreRegion, index) => {
-        const groupId = index + 1;
-        const departamentosRegion = regiones[nombreRegion];
+    // Cargar las regiones ordenadas por nombre
+    const selectedOption = document.querySelector(`#existing-regions option[value="${tipoRegion}"]`);
+    setHistoryLabel(`Cargar ${selectedOption ? selectedOption.textContent.toLowerCase() : tipoRegion}`);
+    applyRegions(regiones, Object.keys(regiones).sort());
 
-        // Actualizar el nombre de la división
-        departmentGroups[groupId].name = nombreRegion;
-        const editableName = document.querySelector(`[data-group-id="${groupId}"] .editable-division-name`);
-        if (editableName) {
-            editableName.textContent = nombreRegion;
-        }
-
-        // Obtener el contenedor de la división y limpiarlo
-        const divisionList = document.getElementById(`division-${groupId}`);
-        if (divisionList) {
-            divisionList.innerHTML = '';
-
-            // Agregar cada departamento de la región a la división
-            departamentosRegion.forEach(depto => {
-                const codigoCde = depto.cde;
-                const nombreDepartamento = depto.municipio_nombre;
-                const isGBA = gbaCodes.includes(codigoCde);
-
-                const item = document.createElement('div');
-                item.className = `department-item ${isGBA ? 'gba-department-bold' : ''}`;
-                item.textContent = nombreDepartamento;
-                item.setAttribute('data-dept-name', nombreDepartamento);
-                item.setAttribute('data-dept-code', codigoCde);
-                divisionList.appendChild(item);
-            });
-        }
-    });
+    // Guardar el tipo de región actual (applyPlan lo reinicia)
+    currentRegionType = tipoRegion;
+    document.getElementById('existing-regions').value = tipoRegion;
+}
 
-    // Actualizar estado completo de la aplicación
-    notifyStateChange();
+/**
+ * CARGA UN CONJUNTO DE REGIONES EN LAS DIVISIONES
+ * Camino común para las regiones existentes y los planes importados
+ * @param {Object} regiones - {nombreRegion: [{cde, municipio_nombre}, ...]}
+ * @param {Array<string>} nombresRegiones - Regiones a cargar, en el orden de las divisiones
+ * @param {Object} colores - {nombreRegion: '#rrggbb'} (opcional)
+ */
+function applyRegions(regiones, nombresRegiones, colores = {}) {
+    applyPlan(regionsToPlan(regiones, nombresRegiones, colores));
 }
 
 // =============================================
@@ -538,9 +673,84 @@ function initializeComparisonTable() {
     updateComparisonTable();
 }
 
+/**
+ * OBTIENE LAS FILAS DE LA TABLA COMPARATIVA
+ * Cada fila guarda los valores numéricos (para exportar) y cómo mostrarlos
+ * @returns {Array<Object>} - [{etiqueta, valores: [número por división], formato: valor → texto, descripcion?}]
+ */
+function getComparisonRows() {
+    const grupos = Array.from({length: currentDivisionCount}, (_, i) => i + 1);
+    
+    // Fila: Cantidad de partidos
+    const filas = [{
+        etiqueta: 'Cantidad de partidos',
+        valores: grupos.map(i => departmentGroups[i] ? departmentGroups[i].departments.length : 0),
+        formato: valor => String(valor)
+    }];
+    
+    // Una fila por variable de datos_partidos.json, si los datos están cargados
+    if (partidosData && partidosData.datos) {
+        const codigosPorDivision = grupos.map(i => departmentGroups[i]
+            ? departmentGroups[i].departments.map(nombre => obtenerCodigoCdePorNombre(nombre))
+            : []);
+        filas.push(...construirFilasVariables(codigosPorDivision));
+        
+        // Fila: crecimiento intercensal, si hay más de un censo
+        const crecimiento = construirFilaCrecimiento(codigosPorDivision);
+        if (crecimiento) filas.push(crecimiento);
+    }
+    
+    // Fila: Contigüidad (cantidad de piezas conexas)
+    filas.push({
+        etiqueta: 'Contigua',
+        valores: grupos.map(i => contarPiezasDivision(i)),
+        formato: piezas => piezas === 0 ? '-' : (piezas === 1 ? 'sí' : `no (${piezas} piezas)`)
+    });
+    
+    // Filas: índices de compacidad sobre la geometría disuelta de cada división
+    const compacidad = grupos.map(i => obtenerCompacidadDivision(i));
+    const formatoIndice = valor => valor === null || valor === undefined ? '-' : valor.toFixed(2);
+    filas.push({
+        etiqueta: 'Polsby-Popper',
+        valores: compacidad.map(c => c && c.polsbyPopper),
+        formato: formatoIndice,
+        descripcion: '4π × área / perímetro². Vale 1 para un círculo; valores bajos indican bordes muy irregulares o formas alargadas.'
+    });
+    filas.push({
+        etiqueta: 'Reock',
+        valores: compacidad.map(c => c && c.reock),
+        formato: formatoIndice,
+        descripcion: 'Área / área del menor círculo que contiene a la división. Vale 1 para un círculo; valores bajos indican formas alargadas.'
+    });
+    filas.push({
+        etiqueta: 'Envolvente convexa',
+        valores: compacidad.map(c => c && c.envolvente),
+        formato: formatoIndice,
+        descripcion: 'Área / área de la envolvente convexa. Vale 1 para formas convexas; valores bajos indican entrantes, brazos o piezas separadas.'
+    });
+    
+    // Filas: distancias a la cabecera elegida en cada división
+    if (partidosData && partidosData.datos) {
+        const codigosPorDivision = grupos.map(i => departmentGroups[i]
+            ? departmentGroups[i].departments.map(nombre => obtenerCodigoCdePorNombre(nombre))
+            : []);
+        const cabeceras = grupos.map(i => departmentGroups[i] && departmentGroups[i].capital
+            ? getDepartmentCode(departmentGroups[i].capital)
+            : null);
+        filas.push(...construirFilasCabecera(codigosPorDivision, cabeceras));
+        
+        // Filas: reparto de bancas según la población de cada división
+        if (seatApportionment.bancas > 0) {
+            filas.push(...construirFilasBancas(grupos.map(i => calcularTotalDivision(i, 'poblacion_total'))));
+        }
+    }
+    
+    return filas;
+}
+
 /**
  * ACTUALIZA LA TABLA COMPARATIVA CON LOS DATOS ACTUALES
- * Muestra cantidad de partidos, superficie, población y densidad por división
+ * Muestra cantidad de partidos, las variables del archivo de datos y los indicadores por división
  */
 function updateComparisonTable() {
     const table = document.getElementById('comparison-table');
@@ -560,64 +770,31 @@ function updateComparisonTable() {
         thead.appendChild(th);
     }
     
-    // Fila: Cantidad de partidos
-    const filaCantidad = document.createElement('tr');
-    const celdaVariableCantidad = document.createElement('td');
-    celdaVariableCantidad.textContent = 'Cantidad de partidos';
-    filaCantidad.appendChild(celdaVariableCantidad);
-    
-    for (let i = 1; i <= currentDivisionCount; i++) {
-        const countCell = document.createElement('td');
-        const count = departmentGroups[i] ? departmentGroups[i].departments.length : 0;
-        countCell.textContent = count;
-        filaCantidad.appendChild(countCell);
-    }
-    tbody.appendChild(filaCantidad);
-    
-    // Solo mostrar datos de superficie/población si están cargados
-    if (partidosData && partidosData.datos) {
-        // Fila: Superficie total
-        const filaSuperficie = document.createElement('tr');
-        const celdaVariableSuperficie = document.createElement('td');
-        celdaVariableSuperficie.textContent = 'Superficie total (km²)';
-        filaSuperficie.appendChild(celdaVariableSuperficie);
-        
-        for (let i = 1; i <= currentDivisionCount; i++) {
-            const superficieCell = document.createElement('td');
-            const superficie = calcularTotalDivision(i, 'superficie');
-            superficieCell.textContent = formatearNumero(superficie);
-            filaSuperficie.appendChild(superficieCell);
+    // Una fila por variable, con una celda por división
+    getComparisonRows().forEach(fila => {
+        const tr = document.createElement('tr');
+        const celdaVariable = document.createElement('td');
+        celdaVariable.textContent = fila.etiqueta;
+        if (fila.descripcion) {
+            celdaVariable.title = fila.descripcion;
+            celdaVariable.classList.add('has-tooltip');
         }
-        tbody.appendChild(filaSuperficie);
+        tr.appendChild(celdaVariable);
         
-        // Fila: Población total
-        const filaPoblacion = document.createElement('tr');
-        const celdaVariablePoblacion = document.createElement('td');
-        celdaVariablePoblacion.textContent = 'Población total';
-        filaPoblacion.appendChild(celdaVariablePoblacion);
-        
-        for (let i = 1; i <= currentDivisionCount; i++) {
-            const poblacionCell = document.createElement('td');
-            const poblacion = calcularTotalDivision(i, 'poblacion_total');
-            poblacionCell.textContent = formatearNumero(poblacion);
-            filaPoblacion.appendChild(poblacionCell);
-        }
-        tbody.appendChild(filaPoblacion);
-        
-        // Fila: Densidad poblacional
-        const filaDensidad = document.createElement('tr');
-        const celdaVariableDensidad = document.createElement('td');
-        celdaVariableDensidad.textContent = 'Densidad (hab/km²)';
-        filaDensidad.appendChild(celdaVariableDensidad);
-        
-        for (let i = 1; i <= currentDivisionCount; i++) {
-            const densidadCell = document.createElement('td');
-            const densidad = calcularDensidadDivision(i);
-            densidadCell.textContent = formatearNumero(densidad);
-            filaDensidad.appendChild(densidadCell);
-        }
-        tbody.appendChild(filaDensidad);
-    } else {
+        fila.valores.forEach((valor, index) => {
+            const celda = document.createElement('td');
+            celda.textContent = fila.formato(valor);
+            // Explicación de los valores que no se pudieron calcular ("-")
+            if (fila.errores && fila.errores[index]) {
+                celda.title = fila.errores[index];
+                celda.classList.add('has-tooltip');
+            }
+            tr.appendChild(celda);
+        });
+        tbody.appendChild(tr);
+    });
+    
+    if (!partidosData || !partidosData.datos) {
         // Mensaje mientras se cargan los datos
         const filaMensaje = document.createElement('tr');
         const celdaMensaje = document.createElement('td');
@@ -682,14 +859,8 @@ function moveSelectedToMainList() {
             existingItem.classList.add('selected');
         } else {
             // Crear nuevo elemento si no existe
-            const dept = allDepartments.find(d => d.properties.nam === deptName);
-            const isGBA = dept && gbaCodes.includes(dept.properties.cde);
-            
-            const item = document.createElement('div');
-            item.className = `department-item ${isGBA ? 'gba-department-bold' : ''} selected`;
-            item.textContent = deptName;
-            item.setAttribute('data-dept-name', deptName);
-            item.setAttribute('data-dept-code', dept ? dept.properties.cde : '');
+            const item = createDepartmentItem(deptName, getDepartmentCode(deptName));
+            item.classList.add('selected');
             
             listContainer.insertBefore(item, listContainer.firstChild);
         }
@@ -719,6 +890,191 @@ function markSelectedInDivisions() {
     }
 }
 
+// =============================================
+// PARTIDOS FIJADOS A SU DIVISIÓN
+// =============================================
+
+/**
+ * ACTUALIZA EL ASPECTO DE UN ELEMENTO DE LISTA SEGÚN ESTÉ FIJADO O NO
+ * @param {HTMLElement} item - Elemento .department-item
+ * @param {boolean} fijado - True si el partido está fijado
+ */
+function setDepartmentItemLocked(item, fijado) {
+    item.classList.toggle('locked', fijado);
+
+    const candado = item.querySelector('.lock-toggle');
+    candado.textContent = fijado ? '🔒' : '🔓';
+    candado.title = fijado ? 'Desfijar de la división' : 'Fijar a la división';
+}
+
+/**
+ * FIJA O DESFIJA UN PARTIDO A LA DIVISIÓN EN LA QUE ESTÁ
+ * Un partido fijado no se puede arrastrar, no lo toma la selección por polígono
+ * ni lo mueve la mejora automática del equilibrio
+ * @param {string} deptName - Nombre del partido
+ */
+function toggleDepartmentLock(deptName) {
+    if (!isDepartmentInDivision(deptName)) return;
+
+    setHistoryLabel(lockedDepartments.has(deptName) ? `Desfijar ${deptName}` : `Fijar ${deptName}`);
+
+    if (lockedDepartments.has(deptName)) {
+        lockedDepartments.delete(deptName);
+        console.log(`🔓 ${deptName} desfijado`);
+    } else {
+        lockedDepartments.add(deptName);
+        console.log(`🔒 ${deptName} fijado a ${departmentGroups[getDepartmentGroupId(deptName)].name}`);
+    }
+
+    notifyStateChange();
+}
+
+/**
+ * SINCRONIZA LOS PARTIDOS FIJADOS CON EL ESTADO ACTUAL
+ * Un partido que vuelve al listado (reset, plan cargado) deja de estar fijado
+ * Se llama desde notifyStateChange() luego de actualizar departmentGroups
+ */
+function updateDepartmentLocks() {
+    lockedDepartments.forEach(deptName => {
+        if (!isDepartmentInDivision(deptName)) lockedDepartments.delete(deptName);
+    });
+
+    document.querySelectorAll('.department-item').forEach(item => {
+        setDepartmentItemLocked(item, lockedDepartments.has(item.getAttribute('data-dept-name')));
+    });
+
+    updateLockMarkers();
+}
+
+/**
+ * OBTIENE LOS PARTIDOS FIJADOS EN DIVISIONES POSTERIORES A UNA CANTIDAD
+ * @param {number} cantidad - Cantidad de divisiones que se conservarían
+ * @returns {Array<string>} - Nombres de los partidos fijados que se perderían
+ */
+function getLockedDepartmentsBeyond(cantidad) {
+    const fijados = [];
+    for (let i = cantidad + 1; i <= currentDivisionCount; i++) {
+        if (!departmentGroups[i]) continue;
+        departmentGroups[i].departments.forEach(deptName => {
+            if (lockedDepartments.has(deptName)) fijados.push(deptName);
+        });
+    }
+    return fijados;
+}
+
+/**
+ * CONFIGURA LOS CANDADOS DE LOS ELEMENTOS DE LISTA
+ * Usa un único manejador porque los elementos se recrean constantemente
+ */
+function setupDepartmentLocks() {
+    document.addEventListener('click', function(e) {
+        const candado = e.target.closest('.lock-toggle');
+        if (!candado) return;
+
+        e.stopPropagation();
+        toggleDepartmentLock(candado.closest('.department-item').getAttribute('data-dept-name'));
+    });
+}
+
+// =============================================
+// CABECERAS DE LAS DIVISIONES
+// =============================================
+
+/**
+ * SINCRONIZA LAS CABECERAS CON LOS PARTIDOS DE CADA DIVISIÓN
+ * Descarta la cabecera si salió de su división y rearma las opciones del selector
+ * Se llama desde notifyStateChange() luego de actualizar departmentGroups
+ */
+function updateDivisionCapitals() {
+    Object.keys(departmentGroups).forEach(groupId => {
+        const group = departmentGroups[groupId];
+        if (group.capital && !group.departments.includes(group.capital)) {
+            group.capital = null;
+        }
+
+        const select = document.querySelector(`.capital-select[data-group-id="${groupId}"]`);
+        if (!select) return;
+
+        const opciones = group.departments.slice().sort((a, b) => a.localeCompare(b));
+        select.innerHTML = '<option value="">Sin cabecera</option>' + opciones
+            .map(deptName => `<option value="${escapeHTML(deptName)}">${escapeHTML(deptName)}</option>`)
+            .join('');
+        select.value = group.capital || '';
+        select.disabled = opciones.length === 0;
+    });
+
+    updateCapitalSpokes();
+}
+
+/**
+ * CONFIGURA EL CONTROL QUE MUESTRA LAS LÍNEAS A LAS CABECERAS EN EL MAPA
+ */
+function setupDivisionCapitals() {
+    const toggle = document.getElementById('capital-spokes-toggle');
+    toggle.checked = showCapitalSpokes;
+
+    toggle.addEventListener('change', function() {
+        showCapitalSpokes = this.checked;
+        updateCapitalSpokes();
+    });
+
+    updateDivisionCapitals();
+}
+
+// =============================================
+// DIÁLOGOS MODALES
+// =============================================
+
+/**
+ * ABRE UN DIÁLOGO MODAL SOBRE LA PÁGINA
+ * @param {string} titulo - Título del diálogo
+ * @param {HTMLElement} contenido - Elemento con el cuerpo del diálogo
+ * @param {Array<Object>} botones - [{texto, clase, accion}]; si accion devuelve false el diálogo queda abierto
+ * @returns {Function} - Función que cierra el diálogo
+ */
+function openModal(titulo, contenido, botones) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('role', 'dialog');
+
+    const encabezado = document.createElement('h3');
+    encabezado.textContent = titulo;
+    modal.appendChild(encabezado);
+
+    contenido.classList.add('modal-body');
+    modal.appendChild(contenido);
+
+    const cerrar = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', cerrarConEscape);
+    };
+    const cerrarConEscape = (e) => {
+        if (e.key === 'Escape') cerrar();
+    };
+
+    const pie = document.createElement('div');
+    pie.className = 'modal-actions';
+    botones.forEach(boton => {
+        const elemento = document.createElement('button');
+        elemento.className = `tool-button ${boton.clase || ''}`;
+        elemento.textContent = boton.texto;
+        elemento.addEventListener('click', () => {
+            if (!boton.accion || boton.accion() !== false) cerrar();
+        });
+        pie.appendChild(elemento);
+    });
+    modal.appendChild(pie);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', cerrarConEscape);
+
+    return cerrar;
+}
+
 // =============================================
 // RESET Y ESTADO INICIAL
 // =============================================
@@ -728,6 +1084,9 @@ function markSelectedInDivisions() {
  * Limpia selecciones, divisiones y vuelve al estado original
  */
 function resetToInitialState() {
+    setHistoryLabel('Reestablecer valores');
+    rememberPlanBeforeReset();
+    
     // Desactivar modo polígono si está activo
     if (polygonMode) deactivatePolygonMode();
     